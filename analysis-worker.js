@@ -0,0 +1,25 @@
+/* ═══════════════════════════════════════════
+   analysis-worker.js — Mesh analysis off the main thread
+   Runs analysis.js (print checks) or diff.js (model comparison) on
+   the triangles posted by the viewer, so a large model does not
+   freeze the page
+   ═══════════════════════════════════════════ */
+
+import { analyzeMesh } from './analysis.js';
+import { diffMeshes } from './diff.js';
+
+self.addEventListener('message', (e) => {
+    const msg = e.data;
+    try {
+        if (msg.type === 'diff') {
+            const diff = diffMeshes(msg.current, msg.reference);
+            self.postMessage({ type: 'result', diff }, [diff.current.buffer, diff.reference.buffer]);
+            return;
+        }
+        const report = analyzeMesh(msg.positions, msg.options);
+        self.postMessage({ type: 'result', report },
+            [report.flags.buffer, report.thickness.buffer, report.problemEdges.buffer]);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+});
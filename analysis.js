@@ -0,0 +1,330 @@
+/* ═══════════════════════════════════════════
+   analysis.js — Print-readiness analysis
+   Topology (open and non-manifold edges, flipped faces, shells),
+   overhangs and wall thickness of a triangle soup. No imports, so
+   it runs as is in analysis-worker.js
+   ═══════════════════════════════════════════ */
+
+export const DEFAULT_OVERHANG_ANGLE = 45;   // degrees past vertical that print without support
+export const DEFAULT_MIN_WALL = 0.8;        // model units, usually mm (two 0.4 mm perimeters)
+
+// Bits of the per-face flags
+export const FACE_OVERHANG = 1;
+export const FACE_THIN = 2;
+export const FACE_FLIPPED = 4;
+
+/* ─── Topology ─── */
+
+/**
+ * Merge coincident corners (STL repeats them per triangle).
+ * Returns { index: Uint32Array (3 per triangle), vertices: Float64Array,
+ * eps (weld tolerance), diag (bounding box diagonal), minZ }.
+ */
+function weld(positions) {
+    let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], positions[i + k]);
+            max[k] = Math.max(max[k], positions[i + k]);
+        }
+    }
+    const diag = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+    const eps = diag * 1e-6;
+
+    const ids = new Map();
+    const vertices = [];
+    const index = new Uint32Array(positions.length / 3);
+    for (let v = 0; v < index.length; v++) {
+        const x = positions[v * 3], y = positions[v * 3 + 1], z = positions[v * 3 + 2];
+        const key = `${Math.round(x / eps)},${Math.round(y / eps)},${Math.round(z / eps)}`;
+        let id = ids.get(key);
+        if (id === undefined) {
+            id = vertices.length / 3;
+            ids.set(key, id);
+            vertices.push(x, y, z);
+        }
+        index[v] = id;
+    }
+    return { index, vertices: Float64Array.from(vertices), eps, diag, minZ: min[2] };
+}
+
+/**
+ * Edge → triangles using it: Map<key, [{ tri, forward }]>, where
+ * `forward` tells whether the triangle runs the edge from its lower to
+ * its higher vertex id.
+ */
+function buildEdges(index, vertexCount) {
+    const edges = new Map();
+    for (let t = 0; t < index.length / 3; t++) {
+        for (let k = 0; k < 3; k++) {
+            const a = index[t * 3 + k], b = index[t * 3 + (k + 1) % 3];
+            if (a === b) continue;
+            const key = a < b ? a * vertexCount + b : b * vertexCount + a;
+            let list = edges.get(key);
+            if (!list) edges.set(key, list = []);
+            list.push({ tri: t, forward: a < b });
+        }
+    }
+    return edges;
+}
+
+/**
+ * Number of connected shells (triangles sharing a vertex are connected).
+ */
+function countShells(index, vertexCount) {
+    const parent = new Int32Array(vertexCount).map((_, i) => i);
+    const find = (v) => {
+        while (parent[v] !== v) v = parent[v] = parent[parent[v]];
+        return v;
+    };
+    for (let i = 0; i < index.length; i += 3) {
+        const a = find(index[i]);
+        parent[find(index[i + 1])] = a;
+        parent[find(index[i + 2])] = a;
+    }
+    const roots = new Set();
+    for (let i = 0; i < index.length; i++) roots.add(find(index[i]));
+    return roots.size;
+}
+
+function triangleNormal(v, index, t, out) {
+    const a = index[t * 3] * 3, b = index[t * 3 + 1] * 3, c = index[t * 3 + 2] * 3;
+    const ux = v[b] - v[a], uy = v[b + 1] - v[a + 1], uz = v[b + 2] - v[a + 2];
+    const wx = v[c] - v[a], wy = v[c + 1] - v[a + 1], wz = v[c + 2] - v[a + 2];
+    out[0] = uy * wz - uz * wy;
+    out[1] = uz * wx - ux * wz;
+    out[2] = ux * wy - uy * wx;
+    const len = Math.hypot(out[0], out[1], out[2]);
+    if (len > 0) { out[0] /= len; out[1] /= len; out[2] /= len; }
+    return len / 2; // area
+}
+
+/**
+ * Faces wound against their neighbours. Orientation is propagated
+ * across manifold edges (a consistent neighbour runs the shared edge
+ * the other way); a patch whose enclosed volume comes out negative is
+ * inside out as a whole. Returns a 0/1 flag per triangle.
+ */
+function findFlipped(index, vertices, edges) {
+    const triCount = index.length / 3;
+    const neighbours = Array.from({ length: triCount }, () => []);
+    for (const list of edges.values()) {
+        if (list.length !== 2) continue;
+        const [p, q] = list;
+        const swap = p.forward === q.forward ? 1 : 0;
+        neighbours[p.tri].push(q.tri, swap);
+        neighbours[q.tri].push(p.tri, swap);
+    }
+
+    const flip = new Int8Array(triCount).fill(-1);
+    for (let seed = 0; seed < triCount; seed++) {
+        if (flip[seed] !== -1) continue;
+        flip[seed] = 0;
+        const patch = [seed];
+        for (let i = 0; i < patch.length; i++) {
+            const t = patch[i];
+            const list = neighbours[t];
+            for (let j = 0; j < list.length; j += 2) {
+                const n = list[j];
+                if (flip[n] !== -1) continue;
+                flip[n] = flip[t] ^ list[j + 1];
+                patch.push(n);
+            }
+        }
+
+        // Signed volume of the patch as propagated
+        let volume = 0;
+        for (const t of patch) {
+            const a = index[t * 3] * 3, b = index[t * 3 + 1] * 3, c = index[t * 3 + 2] * 3;
+            const v = vertices;
+            const det = v[a] * (v[b + 1] * v[c + 2] - v[b + 2] * v[c + 1])
+                - v[a + 1] * (v[b] * v[c + 2] - v[b + 2] * v[c])
+                + v[a + 2] * (v[b] * v[c + 1] - v[b + 1] * v[c]);
+            volume += flip[t] ? -det : det;
+        }
+        if (volume < 0) for (const t of patch) flip[t] ^= 1;
+    }
+    return flip;
+}
+
+/* ─── Wall thickness ─── */
+
+/**
+ * Uniform grid of triangle ids for short ray queries.
+ */
+function buildGrid(index, vertices, cell) {
+    const cells = new Map();
+    const key = (x, y, z) => `${x},${y},${z}`;
+    for (let t = 0; t < index.length / 3; t++) {
+        const lo = [Infinity, Infinity, Infinity], hi = [-Infinity, -Infinity, -Infinity];
+        for (let k = 0; k < 3; k++) {
+            const o = index[t * 3 + k] * 3;
+            for (let d = 0; d < 3; d++) {
+                lo[d] = Math.min(lo[d], Math.floor(vertices[o + d] / cell));
+                hi[d] = Math.max(hi[d], Math.floor(vertices[o + d] / cell));
+            }
+        }
+        for (let x = lo[0]; x <= hi[0]; x++) {
+            for (let y = lo[1]; y <= hi[1]; y++) {
+                for (let z = lo[2]; z <= hi[2]; z++) {
+                    const k = key(x, y, z);
+                    let list = cells.get(k);
+                    if (!list) cells.set(k, list = []);
+                    list.push(t);
+                }
+            }
+        }
+    }
+    return { cells, cell, key };
+}
+
+/**
+ * Distance along the ray to triangle `t` (either side), or Infinity.
+ */
+function rayTriangle(vertices, index, t, o, d) {
+    const v = vertices;
+    const a = index[t * 3] * 3, b = index[t * 3 + 1] * 3, c = index[t * 3 + 2] * 3;
+    const e1x = v[b] - v[a], e1y = v[b + 1] - v[a + 1], e1z = v[b + 2] - v[a + 2];
+    const e2x = v[c] - v[a], e2y = v[c + 1] - v[a + 1], e2z = v[c + 2] - v[a + 2];
+    const px = d[1] * e2z - d[2] * e2y, py = d[2] * e2x - d[0] * e2z, pz = d[0] * e2y - d[1] * e2x;
+    const det = e1x * px + e1y * py + e1z * pz;
+    if (Math.abs(det) < 1e-12) return Infinity;
+    const inv = 1 / det;
+    const sx = o[0] - v[a], sy = o[1] - v[a + 1], sz = o[2] - v[a + 2];
+    const u = (sx * px + sy * py + sz * pz) * inv;
+    if (u < 0 || u > 1) return Infinity;
+    const qx = sy * e1z - sz * e1y, qy = sz * e1x - sx * e1z, qz = sx * e1y - sy * e1x;
+    const w = (d[0] * qx + d[1] * qy + d[2] * qz) * inv;
+    if (w < 0 || u + w > 1) return Infinity;
+    return (e2x * qx + e2y * qy + e2z * qz) * inv;
+}
+
+/**
+ * Thickness behind face `t`: distance from its centroid, against its
+ * outward normal, to the nearest other surface — or Infinity when
+ * nothing is within `limit`.
+ */
+function thicknessAt(grid, vertices, index, t, normal, limit, eps, stamp, visit) {
+    const o = [0, 0, 0];
+    for (let k = 0; k < 3; k++) {
+        const p = index[t * 3 + k] * 3;
+        for (let d = 0; d < 3; d++) o[d] += vertices[p + d] / 3;
+    }
+    const dir = [-normal[0], -normal[1], -normal[2]];
+    const end = o.map((c, d) => c + dir[d] * limit);
+
+    let best = Infinity;
+    const { cells, cell, key } = grid;
+    const lo = o.map((c, d) => Math.floor(Math.min(c, end[d]) / cell));
+    const hi = o.map((c, d) => Math.floor(Math.max(c, end[d]) / cell));
+    for (let x = lo[0]; x <= hi[0]; x++) {
+        for (let y = lo[1]; y <= hi[1]; y++) {
+            for (let z = lo[2]; z <= hi[2]; z++) {
+                for (const other of cells.get(key(x, y, z)) || []) {
+                    if (other === t || stamp[other] === visit) continue;
+                    stamp[other] = visit;
+                    const dist = rayTriangle(vertices, index, other, o, dir);
+                    if (dist > eps && dist < best) best = dist;
+                }
+            }
+        }
+    }
+    return best <= limit ? best : Infinity;
+}
+
+/* ─── Report ─── */
+
+/**
+ * Analyse a non-indexed triangle list (9 floats per triangle, model
+ * coordinates, Z up). Returns
+ *   { triangles, vertices, shells, openEdges, nonManifoldEdges,
+ *     flippedFaces, degenerateFaces, overhangFaces, overhangArea,
+ *     thinFaces, minThickness,
+ *     flags: Uint8Array (FACE_* per triangle),
+ *     thickness: Float32Array (per triangle, Infinity when not thin),
+ *     problemEdges: Float32Array (6 floats per open/non-manifold edge) }
+ */
+export function analyzeMesh(positions, {
+    overhangAngle = DEFAULT_OVERHANG_ANGLE,
+    minWall = DEFAULT_MIN_WALL,
+} = {}) {
+    const { index, vertices, eps, diag, minZ } = weld(positions);
+    const triCount = index.length / 3;
+    const vertexCount = vertices.length / 3;
+    const edges = buildEdges(index, vertexCount);
+
+    const problemEdges = [];
+    let openEdges = 0, nonManifoldEdges = 0;
+    for (const [key, list] of edges) {
+        if (list.length === 2) continue;
+        if (list.length === 1) openEdges++;
+        else nonManifoldEdges++;
+        const a = Math.floor(key / vertexCount) * 3, b = (key % vertexCount) * 3;
+        problemEdges.push(vertices[a], vertices[a + 1], vertices[a + 2], vertices[b], vertices[b + 1], vertices[b + 2]);
+    }
+
+    const flip = findFlipped(index, vertices, edges);
+    const flags = new Uint8Array(triCount);
+    const thickness = new Float32Array(triCount).fill(Infinity);
+    const normals = new Float64Array(triCount * 3);
+    const degenerate = new Uint8Array(triCount);
+    const n = [0, 0, 0];
+
+    // Overhangs: facing down more steeply than the angle, and not on the bed
+    const overhangLimit = Math.sin((overhangAngle * Math.PI) / 180);
+    let flippedFaces = 0, degenerateFaces = 0, overhangFaces = 0, overhangArea = 0;
+    for (let t = 0; t < triCount; t++) {
+        const area = triangleNormal(vertices, index, t, n);
+        if (flip[t]) {
+            flags[t] |= FACE_FLIPPED;
+            flippedFaces++;
+            n[0] = -n[0]; n[1] = -n[1]; n[2] = -n[2];
+        }
+        normals.set(n, t * 3);
+        if (area <= eps * eps) {
+            degenerate[t] = 1;
+            degenerateFaces++;
+            continue;
+        }
+        const top = Math.max(...[0, 1, 2].map(k => vertices[index[t * 3 + k] * 3 + 2]));
+        if (-n[2] > overhangLimit && top > minZ + eps * 10) {
+            flags[t] |= FACE_OVERHANG;
+            overhangFaces++;
+            overhangArea += area;
+        }
+    }
+
+    // Thin walls: short rays inward from every face
+    let thinFaces = 0, minThickness = Infinity;
+    if (minWall > 0) {
+        const grid = buildGrid(index, vertices, Math.max(minWall, diag / 80));
+        const stamp = new Int32Array(triCount).fill(-1);
+        for (let t = 0; t < triCount; t++) {
+            if (degenerate[t]) continue;
+            const d = thicknessAt(grid, vertices, index, t, normals.subarray(t * 3, t * 3 + 3), minWall, eps * 10, stamp, t);
+            if (d < minWall) {
+                thickness[t] = d;
+                flags[t] |= FACE_THIN;
+                thinFaces++;
+                minThickness = Math.min(minThickness, d);
+            }
+        }
+    }
+
+    return {
+        triangles: triCount,
+        vertices: vertexCount,
+        shells: countShells(index, vertexCount),
+        openEdges,
+        nonManifoldEdges,
+        flippedFaces,
+        degenerateFaces,
+        overhangFaces,
+        overhangArea,
+        thinFaces,
+        minThickness: Number.isFinite(minThickness) ? minThickness : null,
+        flags,
+        thickness,
+        problemEdges: Float32Array.from(problemEdges),
+    };
+}
@@ -5,48 +5,164 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { ViewHelper } from 'three/addons/helpers/ViewHelper.js';
 import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { AMFLoader } from 'three/addons/loaders/AMFLoader.js';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { createEditor } from './editor.js';
+import { BUILTIN_LIBRARIES, libraryKey, detectLibraries, isValidPrefix, isValidRef, isValidRepo } from './libraries.js';
+import { idbPut, idbDelete } from './storage.js';
+import { projectId, listHistory, loadHistoryOutput, addHistoryEntry, deleteHistoryEntry } from './history.js';
+import {
+    captureParameterSet, applyParameterSet, parseParameterSetFile, serializeParameterSetFile,
+    loadPresets, savePresets,
+} from './presets.js';
+import {
+    SHARE_HASH_PREFIX, buildPermalink, decodeShareHash, buildBundle, takeBundleManifest,
+} from './share.js';
+import { MAX_BATCH_VARIANTS, parseVariantValues, expandMatrix, countVariants, variantStems } from './batch.js';
+import { createWorkerPool, PRIORITY } from './pool.js';
+import {
+    computeMeshStats, buildFeatureEdges, nearestSegment, straightEdge, edgeLoop, fitCircle, angleBetweenNormals,
+} from './measure.js';
+import { colorHex } from './csg.js';
+import { formatLiteral, validateParam } from './overrides.js';
+import { parseParameters, buildModifiedSource } from './parameters.js';
+import {
+    DEFAULT_OVERHANG_ANGLE, DEFAULT_MIN_WALL, FACE_OVERHANG, FACE_THIN, FACE_FLIPPED,
+} from './analysis.js';
+import { DIFF_ADDED, DIFF_REMOVED } from './diff.js';
 
 /* ─────────────── DOM refs ─────────────── */
 const uploadZone = document.getElementById('upload-zone');
 const fileInput = document.getElementById('file-input');
+const folderInput = document.getElementById('folder-input');
+const btnPickFolder = document.getElementById('btn-pick-folder');
 const fileInfoCard = document.getElementById('file-info');
 const fileNameEl = document.getElementById('file-name');
 const fileSizeEl = document.getElementById('file-size');
+const mainFileRow = document.getElementById('main-file-row');
+const mainFileSelect = document.getElementById('main-file-select');
+const editorFileRow = document.getElementById('editor-file-row');
+const editorFileSelect = document.getElementById('editor-file-select');
 const btnCompile = document.getElementById('btn-compile');
 const btnLabel = btnCompile.querySelector('.btn-label');
 const btnSpinner = btnCompile.querySelector('.spinner');
+const btnCancel = document.getElementById('btn-cancel');
+const compileTimeoutInput = document.getElementById('compile-timeout');
+const liveModeToggle = document.getElementById('live-mode');
+const splitPartsToggle = document.getElementById('split-parts');
+const debugModeToggle = document.getElementById('debug-mode');
+const qualityRadios = document.querySelectorAll('input[name="quality"]');
 const logOutput = document.getElementById('log-output');
 const btnClearLog = document.getElementById('btn-clear-log');
+const problemsPanel = document.getElementById('problems-panel');
+const problemsSummary = document.getElementById('problems-summary');
+const problemsList = document.getElementById('problems-list');
 const viewerCanvas = document.getElementById('viewer-canvas');
 const viewerOverlay = document.getElementById('viewer-overlay');
 const compileProgress = document.getElementById('compile-progress');
 const btnResetCam = document.getElementById('btn-reset-cam');
+const viewBtns = document.querySelectorAll('[data-view]');
+const btnProjection = document.getElementById('btn-projection');
+const keepOriginToggle = document.getElementById('keep-origin');
 const btnDownload = document.getElementById('btn-download');
+const btnShare = document.getElementById('btn-share');
+const downloadLabel = document.getElementById('download-label');
+const modelStatsEl = document.getElementById('model-stats');
+const measureBar = document.getElementById('measure-bar');
+const measureToolBtns = measureBar.querySelectorAll('[data-tool]');
+const btnMeasureClear = document.getElementById('btn-measure-clear');
+const measureReadout = document.getElementById('measure-readout');
+const btnSection = document.getElementById('btn-section');
+const sectionPanel = document.getElementById('section-panel');
+const sectionList = document.getElementById('section-list');
+const btnSectionAdd = document.getElementById('btn-section-add');
+const sectionCapsToggle = document.getElementById('section-caps');
+const partsPanel = document.getElementById('parts-panel');
+const partsList = document.getElementById('parts-list');
+const btnPartsZip = document.getElementById('btn-parts-zip');
+const debugLegend = document.getElementById('debug-legend');
+const btnAnalysis = document.getElementById('btn-analysis');
+const analysisPanel = document.getElementById('analysis-panel');
+const analysisStatus = document.getElementById('analysis-status');
+const analysisReport = document.getElementById('analysis-report');
+const overhangAngleInput = document.getElementById('overhang-angle');
+const minWallInput = document.getElementById('min-wall');
+const analysisLayerToggles = analysisPanel.querySelectorAll('[data-layer]');
+const btnDiff = document.getElementById('btn-diff');
+const diffPanel = document.getElementById('diff-panel');
+const diffStatus = document.getElementById('diff-status');
+const btnDiffPin = document.getElementById('btn-diff-pin');
+const diffReferenceEl = document.getElementById('diff-reference');
+const diffTable = document.getElementById('diff-table');
+const diffSummary = document.getElementById('diff-summary');
+const diffLayerToggles = diffPanel.querySelectorAll('[data-diff-layer]');
+const debugToggles = debugLegend.querySelectorAll('[data-overlay]');
+const exportFormatSelect = document.getElementById('export-format');
 const paramsEmpty = document.getElementById('params-empty');
 const paramsList = document.getElementById('params-list');
+const presetsBar = document.getElementById('presets-bar');
+const presetSelect = document.getElementById('preset-select');
+const btnPresetSave = document.getElementById('btn-preset-save');
+const btnPresetDelete = document.getElementById('btn-preset-delete');
+const btnPresetExport = document.getElementById('btn-preset-export');
+const btnPresetImport = document.getElementById('btn-preset-import');
+const presetFileInput = document.getElementById('preset-file-input');
+const batchPanel = document.getElementById('batch-panel');
+const batchAxesEl = document.getElementById('batch-axes');
+const btnBatchAdd = document.getElementById('btn-batch-add');
+const btnBatchRun = document.getElementById('btn-batch-run');
+const batchStatus = document.getElementById('batch-status');
 const tabBtns = document.querySelectorAll('.tab-btn');
 const tabContents = document.querySelectorAll('.tab-content');
+const appMain = document.getElementById('app-main');
+const codeEditorEl = document.getElementById('code-editor');
+const historyEmpty = document.getElementById('history-empty');
+const historyCompare = document.getElementById('history-compare');
+const historyList = document.getElementById('history-list');
 const tipsModal = document.getElementById('tips-modal');
 const btnTips = document.getElementById('btn-tips');
 const btnCloseTips = document.getElementById('btn-close-tips');
+const librariesModal = document.getElementById('libraries-modal');
+const btnLibraries = document.getElementById('btn-libraries');
+const btnCloseLibraries = document.getElementById('btn-close-libraries');
+const libraryList = document.getElementById('library-list');
+const libPrefixInput = document.getElementById('lib-prefix');
+const libRepoInput = document.getElementById('lib-repo');
+const libRefInput = document.getElementById('lib-ref');
+const btnAddLibCdn = document.getElementById('btn-add-lib-cdn');
+const btnAddLibZip = document.getElementById('btn-add-lib-zip');
+const libZipInput = document.getElementById('lib-zip-input');
 
 /* ─────────────── State ─────────────── */
-let currentScadSource = null;   // original source from file
+let currentScadSource = null;   // main source, kept in sync with the editor
+let currentProjectFiles = new Map(); // path → Uint8Array (every uploaded file)
+let currentMainPath = null;     // project-relative path of the entry .scad
+let editorPath = null;          // project file shown in the editor (the main one by default)
+let currentProjectId = null;    // history.js projectId() of the loaded project
 let currentParams = [];     // parsed parameters
-let currentStlBuffer = null;
+let currentOutput = null;       // { data: ArrayBuffer, format, dimension, quality, parts, overlays } of the last compile
 let isCompiling = false;
-let worker = null;
+let currentDiagnostics = [];    // { severity, message, file, line } from the last compile
+let activeCompileJob = null;    // pool job id of the interactive compile
+let compileStartedAt = 0;       // performance.now() when the running compile started
+let compileSnapshot = null;     // { projectId, file, params, live } captured when the running compile started
 
 /* ═══════════════ TABS ═══════════════ */
 
+function switchTab(name) {
+    tabBtns.forEach(b => b.classList.toggle('active', b.dataset.tab === name));
+    tabContents.forEach(c => c.classList.toggle('active', c.id === 'tab-' + name));
+    // The code editor needs more room than the parameter panel
+    appMain.classList.toggle('wide-left', name === 'code');
+    if (name === 'history') renderHistory();
+}
+
 tabBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-        tabBtns.forEach(b => b.classList.remove('active'));
-        tabContents.forEach(c => c.classList.remove('active'));
-        btn.classList.add('active');
-        document.getElementById('tab-' + btn.dataset.tab).classList.add('active');
-    });
+    btn.addEventListener('click', () => switchTab(btn.dataset.tab));
 });
 
 /* ═══════════════ TIPS MODAL ═══════════════ */
@@ -54,185 +170,312 @@ tabBtns.forEach(btn => {
 btnTips.addEventListener('click', () => { tipsModal.hidden = false; });
 btnCloseTips.addEventListener('click', () => { tipsModal.hidden = true; });
 tipsModal.addEventListener('click', (e) => { if (e.target === tipsModal) tipsModal.hidden = true; });
-document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && !tipsModal.hidden) tipsModal.hidden = true; });
-
-/* ═══════════════ LOGGING ═══════════════ */
-
-function appendLog(text, level = 'info') {
-    const span = document.createElement('span');
-    span.className = `log-${level}`;
-    span.textContent = text + '\n';
-    logOutput.appendChild(span);
-    logOutput.scrollTop = logOutput.scrollHeight;
-}
-
-btnClearLog.addEventListener('click', () => {
-    logOutput.innerHTML = '';
+document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    if (!tipsModal.hidden) tipsModal.hidden = true;
+    if (!librariesModal.hidden) librariesModal.hidden = true;
 });
 
-/* ═══════════════ PARAMETER PARSER ═══════════════
+/* ═══════════════ LIBRARIES ═══════════════
  *
- * Parses OpenSCAD Customizer-style variables:
- *
- *   // [Section Header]
- *   height = 10;           // [1:100]        → slider  min:1 max:100
- *   width  = 20;           // [5:0.5:50]     → slider  min:5 step:0.5 max:50
- *   shape  = "round";      // [round, square] → dropdown
- *   show   = true;                            → checkbox toggle
- *   name   = "test";                          → text input
- *   count  = 5;                               → number input
- *   size   = 10;           // Description text → number with description
+ * Registry of OpenSCAD libraries (see libraries.js). Built-ins can be
+ * pinned to another ref; custom ones come from a GitHub repo or a
+ * .zip stored in IndexedDB. The registry is sent with every compile and
+ * the worker loads whatever the sources include.
  *
  * ═══════════════════════════════════════════════ */
 
-/**
- * Parse .scad source and extract customizer parameters.
- * Returns { params: [...], sections: [...] }
- */
-function parseParameters(source) {
-    const params = [];
-    const lines = source.split('\n');
+const LIBRARIES_KEY = 'scadweb.libraries';
 
-    let currentSection = null;
+let libraries = loadLibraryRegistry();
 
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
+function loadLibraryRegistry() {
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(LIBRARIES_KEY)) || [];
+    } catch (_) { }
 
-        // Section header: // [Section Name]
-        const sectionMatch = line.match(/^\/\/\s*\[([^\]]+)\]\s*$/);
-        if (sectionMatch) {
-            currentSection = sectionMatch[1].trim();
-            continue;
-        }
+    // Entries saved before prefixes and refs were checked may be unusable
+    saved = saved.filter(s => isValidPrefix(s.prefix) &&
+        (s.source === 'upload' || (isValidRepo(s.repo) && isValidRef(s.ref))));
 
-        // Stop parsing at the first module/function definition
-        if (/^\s*(module|function)\s+/.test(line)) break;
-
-        // Variable assignment: name = value; // optional comment
-        const varMatch = line.match(
-            /^(\w+)\s*=\s*(.+?)\s*;\s*(?:\/\/\s*(.*))?$/
-        );
-        if (!varMatch) continue;
-
-        const name = varMatch[1];
-        let rawValue = varMatch[2].trim();
-        const comment = varMatch[3] ? varMatch[3].trim() : '';
-
-        // Skip internal/special variables
-        if (name.startsWith('$')) continue;
-
-        // Determine value type and parse
-        const param = {
-            name,
-            section: currentSection,
-            line: i,
-            rawLine: lines[i],
-            comment,
-            description: '',
-            type: 'number',   // default
-            value: null,
-            options: null,     // for dropdowns
-            min: null,
-            max: null,
-            step: null,
-        };
+    const builtins = BUILTIN_LIBRARIES.map(lib => {
+        const pinned = saved.find(s => s.prefix === lib.prefix && s.source === 'cdn');
+        return { ...lib, ref: pinned?.ref || lib.ref, builtin: true };
+    });
+    const custom = saved.filter(s => !BUILTIN_LIBRARIES.some(b => b.prefix === s.prefix));
+    return [...builtins, ...custom];
+}
 
-        // Parse the value
-        if (rawValue === 'true' || rawValue === 'false') {
-            param.type = 'bool';
-            param.value = rawValue === 'true';
-        } else if (/^".*"$/.test(rawValue)) {
-            param.type = 'string';
-            param.value = rawValue.slice(1, -1);
-        } else {
-            const numVal = parseFloat(rawValue);
-            if (!isNaN(numVal)) {
-                param.type = 'number';
-                param.value = numVal;
-            } else {
-                // Expression — skip, not user-editable
-                continue;
-            }
-        }
+function saveLibraryRegistry() {
+    localStorage.setItem(LIBRARIES_KEY, JSON.stringify(libraries));
+}
+
+function renderLibraries() {
+    libraryList.innerHTML = '';
 
-        // Parse comment for constraints
-        if (comment) {
-            // Try [option1, option2, ...] — dropdown
-            const dropdownMatch = comment.match(/^\[([^\]]+)\]$/);
-            if (dropdownMatch) {
-                const inner = dropdownMatch[1];
-                // Check if it's a range (numbers with colons)
-                const rangeMatch = inner.match(/^(-?[\d.]+)\s*:\s*(?:(-?[\d.]+)\s*:\s*)?(-?[\d.]+)$/);
-                if (rangeMatch) {
-                    // Range: [min:max] or [min:step:max]
-                    param.min = parseFloat(rangeMatch[1]);
-                    if (rangeMatch[2] !== undefined) {
-                        param.step = parseFloat(rangeMatch[2]);
-                        param.max = parseFloat(rangeMatch[3]);
-                    } else {
-                        param.max = parseFloat(rangeMatch[3]);
-                    }
-                    param.type = 'number';
-                    param.options = null;
-                } else {
-                    // Dropdown options
-                    param.options = inner.split(',').map(o => o.trim().replace(/^"|"$/g, ''));
-                    if (param.type === 'number') {
-                        // Numeric dropdown
-                        param.options = param.options.map(o => {
-                            const n = parseFloat(o);
-                            return isNaN(n) ? o : n;
-                        });
-                    }
+    const sources = [];
+    for (const [path, data] of currentProjectFiles) {
+        if (path.toLowerCase().endsWith('.scad')) {
+            sources.push(path === currentMainPath ? currentScadSource : new TextDecoder().decode(data));
+        }
+    }
+    const inUse = new Set(detectLibraries(sources, libraries).map(l => l.prefix));
+
+    for (const lib of libraries) {
+        const item = document.createElement('li');
+        item.className = 'library-item';
+        item.classList.toggle('in-use', inUse.has(lib.prefix));
+
+        const info = document.createElement('div');
+        info.className = 'library-info';
+        const name = document.createElement('strong');
+        name.textContent = lib.name;
+        const source = document.createElement('span');
+        source.className = 'library-source';
+        const mount = document.createElement('code');
+        mount.textContent = `<${lib.prefix}/…>`;
+        source.append(mount, ' · ', lib.source === 'upload' ? `.zip enviado (${lib.fileCount} arquivos)` : `github.com/${lib.repo}`);
+        info.appendChild(name);
+        info.appendChild(source);
+        if (inUse.has(lib.prefix)) {
+            const badge = document.createElement('span');
+            badge.className = 'library-badge';
+            badge.textContent = 'usada no projeto';
+            info.appendChild(badge);
+        }
+        item.appendChild(info);
+
+        if (lib.source === 'cdn') {
+            const ref = document.createElement('input');
+            ref.type = 'text';
+            ref.value = lib.ref;
+            ref.title = 'Branch, tag ou commit';
+            ref.spellcheck = false;
+            ref.addEventListener('change', () => {
+                const value = ref.value.trim() || 'master';
+                if (value === lib.ref) return;
+                if (!isValidRef(value)) {
+                    appendLog(`Ref inválida "${value}": use letras, números, ".", "_" ou "-".`, 'error');
+                    ref.value = lib.ref;
+                    return;
                 }
-            } else {
-                // Plain description comment
-                param.description = comment;
-            }
+                // Drop the tree cached for the old ref
+                const oldKey = libraryKey(lib);
+                pool.forgetLibrary(oldKey);
+                idbDelete('libraries', oldKey).catch(() => { });
+                lib.ref = value;
+                saveLibraryRegistry();
+                appendLog(`${lib.name} fixada em ${lib.repo}@${value}.`, 'info');
+            });
+            item.appendChild(ref);
         }
 
-        params.push(param);
+        if (!lib.builtin) {
+            const remove = document.createElement('button');
+            remove.className = 'btn-icon';
+            remove.title = 'Remover biblioteca';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                const key = libraryKey(lib);
+                pool.forgetLibrary(key);
+                idbDelete('libraries', key).catch(() => { });
+                libraries = libraries.filter(l => l !== lib);
+                saveLibraryRegistry();
+                renderLibraries();
+            });
+            item.appendChild(remove);
+        }
+
+        libraryList.appendChild(item);
     }
+}
 
-    return params;
+/**
+ * Whether a user library may mount at `prefix`: one folder name that
+ * include <…> can reach, not taken by a built-in library.
+ */
+function isUsablePrefix(prefix) {
+    if (!isValidPrefix(prefix)) {
+        appendLog(`Prefixo inválido "${prefix}": use um nome de pasta com letras, números, ".", "_" ou "-".`, 'error');
+        return false;
+    }
+    if (BUILTIN_LIBRARIES.some(b => b.prefix === prefix)) {
+        appendLog(`O prefixo ${prefix} já pertence a uma biblioteca embutida.`, 'error');
+        return false;
+    }
+    return true;
 }
 
 /**
- * Build the SCAD source with current parameter values replaced.
+ * Register a library, replacing any existing one with the same prefix.
+ * Workers drop the replaced tree so the next compile sees the new files.
  */
-function buildModifiedSource(originalSource, params) {
-    const lines = originalSource.split('\n');
+function addLibrary(lib) {
+    if (!isUsablePrefix(lib.prefix)) return false;
+    if (lib.source === 'cdn' && !isValidRef(lib.ref)) {
+        appendLog(`Ref inválida "${lib.ref}": use letras, números, ".", "_" ou "-".`, 'error');
+        return false;
+    }
+    const key = libraryKey(lib);
+    for (const old of libraries.filter(l => l.prefix === lib.prefix)) {
+        const oldKey = libraryKey(old);
+        pool.forgetLibrary(oldKey);
+        if (oldKey !== key) idbDelete('libraries', oldKey).catch(() => { });
+    }
+    libraries = libraries.filter(l => l.prefix !== lib.prefix);
+    libraries.push(lib);
+    saveLibraryRegistry();
+    renderLibraries();
+    appendLog(`Biblioteca ${lib.name} adicionada (include <${lib.prefix}/…>).`, 'success');
+    return true;
+}
 
-    for (const p of params) {
-        const original = lines[p.line];
-        // Find the assignment and replace the value, keeping the rest of the line
-        let newValue;
-        if (p.type === 'bool') {
-            newValue = p.value ? 'true' : 'false';
-        } else if (p.type === 'string') {
-            newValue = `"${p.value}"`;
-        } else {
-            newValue = String(p.value);
+btnLibraries.addEventListener('click', () => { renderLibraries(); librariesModal.hidden = false; });
+btnCloseLibraries.addEventListener('click', () => { librariesModal.hidden = true; });
+librariesModal.addEventListener('click', (e) => { if (e.target === librariesModal) librariesModal.hidden = true; });
+
+btnAddLibCdn.addEventListener('click', () => {
+    const repo = libRepoInput.value.trim().replace(/^https?:\/\/github\.com\//, '').replace(/\.git$/, '');
+    if (!isValidRepo(repo)) {
+        appendLog('Informe o repositório no formato dono/repo.', 'error');
+        return;
+    }
+    const prefix = libPrefixInput.value.trim() || repo.split('/')[1];
+    const ref = libRefInput.value.trim() || 'master';
+    if (addLibrary({ name: prefix, prefix, source: 'cdn', repo, ref })) {
+        libPrefixInput.value = libRepoInput.value = libRefInput.value = '';
+    }
+});
+
+btnAddLibZip.addEventListener('click', () => libZipInput.click());
+libZipInput.addEventListener('change', async () => {
+    const file = libZipInput.files[0];
+    libZipInput.value = '';
+    if (!file) return;
+
+    const prefix = libPrefixInput.value.trim() || file.name.replace(/\.zip$/i, '');
+    if (!isUsablePrefix(prefix)) return;
+    try {
+        // Strips a shared top folder, so BOSL2-master/… mounts as <prefix>/…
+        const files = await readProjectEntries([{ path: file.name, file }]);
+        const key = libraryKey({ source: 'upload', prefix });
+        // Workers holding the previous upload must not keep compiling against it
+        pool.forgetLibrary(key);
+        await idbPut('libraries', key, files);
+        if (addLibrary({ name: prefix, prefix, source: 'upload', fileCount: files.size })) {
+            libPrefixInput.value = '';
         }
+    } catch (err) {
+        appendLog(`Erro ao importar biblioteca: ${err.message}`, 'error');
+    }
+});
+
+/* ═══════════════ LOGGING ═══════════════ */
+
+function appendLog(text, level = 'info') {
+    const span = document.createElement('span');
+    span.className = `log-${level}`;
+    span.textContent = text + '\n';
+    logOutput.appendChild(span);
+    logOutput.scrollTop = logOutput.scrollHeight;
+}
+
+btnClearLog.addEventListener('click', () => {
+    logOutput.innerHTML = '';
+});
+
+/* ═══════════════ DIAGNOSTICS ═══════════════ */
+
+const SEVERITY_LABEL = { error: 'Erro', warning: 'Aviso', trace: 'Trace' };
 
-        // Replace: name = OLD_VALUE; // comment → name = NEW_VALUE; // comment
-        const replaced = original.replace(
-            /^(\s*\w+\s*=\s*).+?(\s*;.*)$/,
-            `$1${newValue}$2`
-        );
-        lines[p.line] = replaced;
+function resetDiagnostics() {
+    currentDiagnostics = [];
+    problemsList.innerHTML = '';
+    problemsPanel.hidden = true;
+}
+
+/**
+ * Add one diagnostic to the problems list. Entries pointing at the main
+ * file jump to that line in the editor when clicked.
+ */
+function addDiagnostic(diag) {
+    currentDiagnostics.push(diag);
+
+    const item = document.createElement('li');
+    item.className = `problem-item ${diag.severity}`;
+
+    const badge = document.createElement('span');
+    badge.className = 'problem-badge';
+    badge.textContent = SEVERITY_LABEL[diag.severity];
+
+    const message = document.createElement('span');
+    message.className = 'problem-message';
+    message.textContent = diag.message;
+
+    item.appendChild(badge);
+    item.appendChild(message);
+
+    if (diag.line !== null) {
+        const location = document.createElement('span');
+        location.className = 'problem-location';
+        location.textContent = `${diag.file}:${diag.line}`;
+        item.appendChild(location);
+
+        if (currentProjectFiles.has(diag.file)) {
+            item.classList.add('clickable');
+            item.title = 'Ir para a linha no editor';
+            item.addEventListener('click', () => {
+                openInEditor(diag.file);
+                switchTab('code');
+                editor.goToLine(diag.line);
+            });
+        }
     }
 
-    return lines.join('\n');
+    problemsList.appendChild(item);
+    problemsPanel.hidden = false;
+}
+
+/**
+ * Log and display the error/warning totals of the finished compile.
+ */
+function summarizeDiagnostics() {
+    const errors = currentDiagnostics.filter(d => d.severity === 'error').length;
+    const warnings = currentDiagnostics.filter(d => d.severity === 'warning').length;
+    if (currentDiagnostics.length === 0) return;
+
+    problemsSummary.innerHTML =
+        `<span class="count-error">${errors} erro(s)</span> · <span class="count-warning">${warnings} aviso(s)</span>`;
+    appendLog(`Diagnóstico: ${errors} erro(s), ${warnings} aviso(s).`, errors ? 'error' : warnings ? 'warning' : 'info');
 }
 
+/* ═══════════════ PARAMETER PANEL ═══════════════
+ *
+ * Widgets for the Customizer parameters parsed by parameters.js.
+ */
+
+// Parameter name → its validation message element in the panel
+const paramErrorEls = new Map();
+
 /**
  * Render parameter UI into the params panel.
  */
 function renderParams(params) {
     paramsList.innerHTML = '';
+    paramErrorEls.clear();
+
+    // [Hidden] params are never shown; [Global] ones come first
+    const visible = params.filter(p => !p.hidden);
+    const ordered = [
+        ...visible.filter(p => p.section === 'Global'),
+        ...visible.filter(p => p.section !== 'Global'),
+    ];
+
+    batchPanel.hidden = ordered.length === 0;
+    renderBatchAxes();
 
-    if (params.length === 0) {
+    if (ordered.length === 0) {
         paramsEmpty.hidden = false;
         paramsList.hidden = true;
         return;
@@ -243,8 +486,8 @@ function renderParams(params) {
 
     let lastSection = null;
 
-    for (let i = 0; i < params.length; i++) {
-        const p = params[i];
+    for (let i = 0; i < ordered.length; i++) {
+        const p = ordered[i];
 
         // Section header
         if (p.section && p.section !== lastSection) {
@@ -273,6 +516,7 @@ function renderParams(params) {
             checkbox.checked = p.value;
             checkbox.addEventListener('change', () => {
                 p.value = checkbox.checked;
+                syncParamsToSource();
             });
             const slider = document.createElement('span');
             slider.className = 'toggle-slider';
@@ -299,17 +543,14 @@ function renderParams(params) {
             const select = document.createElement('select');
             for (const opt of p.options) {
                 const option = document.createElement('option');
-                option.value = opt;
-                option.textContent = opt;
-                if (String(opt) === String(p.value)) option.selected = true;
+                option.value = String(opt.value);
+                option.textContent = opt.label;
+                if (String(opt.value) === String(p.value)) option.selected = true;
                 select.appendChild(option);
             }
             select.addEventListener('change', () => {
-                if (p.type === 'number') {
-                    p.value = parseFloat(select.value);
-                } else {
-                    p.value = select.value;
-                }
+                p.value = p.options[select.selectedIndex].value;
+                syncParamsToSource();
             });
             group.appendChild(select);
 
@@ -340,11 +581,43 @@ function renderParams(params) {
             range.addEventListener('input', () => {
                 p.value = parseFloat(range.value);
                 valueDisplay.textContent = p.value;
+                syncParamsToSource();
             });
             group.appendChild(range);
 
+        } else if (p.type === 'vector') {
+            // Vector: one number input per component
+            const label = document.createElement('label');
+            label.textContent = p.name;
+            group.appendChild(label);
+
+            if (p.description) {
+                const desc = document.createElement('div');
+                desc.className = 'param-desc';
+                desc.textContent = p.description;
+                group.appendChild(desc);
+            }
+
+            const row = document.createElement('div');
+            row.className = 'param-vector-row';
+            p.value.forEach((component, idx) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.value = component;
+                input.step = p.step || 'any';
+                if (p.min !== null) input.min = p.min;
+                if (p.max !== null) input.max = p.max;
+                input.title = `${p.name}[${idx}]`;
+                input.addEventListener('change', () => {
+                    p.value = p.value.map((v, j) => j === idx ? parseFloat(input.value) : v);
+                    syncParamsToSource();
+                });
+                row.appendChild(input);
+            });
+            group.appendChild(row);
+
         } else if (p.type === 'number') {
-            // Plain number input
+            // Plain number input (spinbox when a step is given)
             const label = document.createElement('label');
             label.textContent = p.name;
             group.appendChild(label);
@@ -359,9 +632,10 @@ function renderParams(params) {
             const input = document.createElement('input');
             input.type = 'number';
             input.value = p.value;
-            input.step = 'any';
+            input.step = p.step || 'any';
             input.addEventListener('change', () => {
                 p.value = parseFloat(input.value);
+                syncParamsToSource();
             });
             group.appendChild(input);
 
@@ -381,52 +655,276 @@ function renderParams(params) {
             const input = document.createElement('input');
             input.type = 'text';
             input.value = p.value;
+            if (p.maxLength) input.maxLength = p.maxLength;
             input.addEventListener('change', () => {
                 p.value = input.value;
+                syncParamsToSource();
             });
             group.appendChild(input);
         }
 
+        const error = document.createElement('div');
+        error.className = 'param-error';
+        error.hidden = true;
+        group.appendChild(error);
+        paramErrorEls.set(p.name, error);
+
         paramsList.appendChild(group);
     }
-}
 
-/* ═══════════════ FILE UPLOAD ═══════════════ */
+    showParamErrors(params);
+}
 
-function handleFile(file) {
-    if (!file) return;
-    if (!file.name.toLowerCase().endsWith('.scad')) {
-        appendLog('Erro: selecione um arquivo .scad', 'error');
-        return;
+/**
+ * Show each visible parameter's validation message (overrides.js)
+ * under its field. Returns [{ p, message }] for the invalid ones.
+ */
+function showParamErrors(params = currentParams) {
+    const invalid = [];
+    for (const p of params) {
+        if (p.hidden) continue;
+        const message = validateParam(p);
+        if (message) invalid.push({ p, message });
+        const error = paramErrorEls.get(p.name);
+        if (!error) continue;
+        error.textContent = message || '';
+        error.hidden = !message;
+        error.parentElement.classList.toggle('invalid', !!message);
     }
+    return invalid;
+}
 
-    fileNameEl.textContent = file.name;
-    fileSizeEl.textContent = formatSize(file.size);
-    fileInfoCard.hidden = false;
+/* ═══════════════ CODE EDITOR ═══════════════
+ *
+ * Editor text and parameter panel share currentScadSource:
+ *   typing       → re-parse parameters (debounced) → panel rebuilt
+ *   param change → buildModifiedSource → editor text updated in place
+ *
+ * Other project .scad files (include/use targets) can be opened in the
+ * editor too; edits to them go straight to currentProjectFiles.
+ *
+ * ═══════════════════════════════════════════════ */
+
+const PARAM_REPARSE_DELAY = 300; // ms after the last keystroke
+
+let reparseTimer = null;
 
-    const reader = new FileReader();
-    reader.onload = () => {
-        currentScadSource = reader.result;
-        btnCompile.disabled = false;
-        appendLog(`Arquivo carregado: ${file.name} (${formatSize(file.size)})`, 'info');
+const editor = createEditor(codeEditorEl, { onChange: onEditorChange });
 
-        // Parse parameters and render UI
+function onEditorChange(text) {
+    if (editorPath && editorPath !== currentMainPath) {
+        currentProjectFiles.set(editorPath, new TextEncoder().encode(text));
+        return;
+    }
+    currentScadSource = text;
+    if (currentMainPath) currentProjectFiles.set(currentMainPath, new TextEncoder().encode(text));
+
+    clearTimeout(reparseTimer);
+    reparseTimer = setTimeout(() => {
         currentParams = parseParameters(currentScadSource);
         renderParams(currentParams);
+    }, PARAM_REPARSE_DELAY);
+}
 
-        if (currentParams.length > 0) {
-            // Switch to params tab
-            tabBtns.forEach(b => b.classList.remove('active'));
-            tabContents.forEach(c => c.classList.remove('active'));
-            document.querySelector('[data-tab="params"]').classList.add('active');
-            document.getElementById('tab-params').classList.add('active');
-            appendLog(`${currentParams.length} parâmetro(s) encontrado(s).`, 'success');
+/**
+ * Write the panel's current values back into the source and the editor.
+ */
+function syncParamsToSource() {
+    if (!currentScadSource) return;
+    currentScadSource = buildModifiedSource(currentScadSource, currentParams);
+    if (currentMainPath) currentProjectFiles.set(currentMainPath, new TextEncoder().encode(currentScadSource));
+    if (editorPath === currentMainPath) editor.setValue(currentScadSource);
+    showParamErrors();
+    scheduleLiveCompile();
+}
+
+/**
+ * Show project file `path` in the editor (the main file goes through
+ * currentScadSource, the others straight from currentProjectFiles).
+ */
+function openInEditor(path) {
+    if (path === editorPath) return;
+    const text = path === currentMainPath
+        ? currentScadSource
+        : new TextDecoder().decode(currentProjectFiles.get(path));
+    editorPath = path;
+    editorFileSelect.value = path;
+    editor.setValue(text);
+}
+
+/**
+ * Fill the editor's file picker with the project's .scad files.
+ */
+function renderEditorFiles() {
+    const scadPaths = [...currentProjectFiles.keys()].filter(p => p.toLowerCase().endsWith('.scad')).sort();
+    editorFileSelect.innerHTML = '';
+    for (const path of scadPaths) {
+        const option = document.createElement('option');
+        option.value = path;
+        option.textContent = path === currentMainPath ? `${path} (principal)` : path;
+        editorFileSelect.appendChild(option);
+    }
+    editorFileSelect.value = editorPath;
+    editorFileRow.hidden = scadPaths.length < 2;
+}
+
+editorFileSelect.addEventListener('change', () => openInEditor(editorFileSelect.value));
+
+/* ═══════════════ FILE UPLOAD ═══════════════
+ *
+ * Accepts a single .scad, several files, a dropped folder or a .zip.
+ * Every file is kept as bytes in currentProjectFiles (path → Uint8Array)
+ * and mirrored by the worker into the virtual FS, so local
+ * include <…> / use <…> and import("…") resolve as on the desktop.
+ *
+ * ═══════════════════════════════════════════════ */
+
+const IGNORED_PATH_RE = /(^|\/)(__MACOSX|\.git)(\/|$)|(^|\/)(\.DS_Store|Thumbs\.db|desktop\.ini)$/i;
+
+/**
+ * Turn a list of { path, file } entries into the project file map.
+ * Zip archives are expanded in place.
+ */
+async function readProjectEntries(entries) {
+    const files = new Map();
+
+    for (const { path, file } of entries) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (path.toLowerCase().endsWith('.zip')) {
+            const { unzipSync } = await import('fflate');
+            const unzipped = unzipSync(bytes);
+            for (const [name, data] of Object.entries(unzipped)) {
+                if (name.endsWith('/')) continue;
+                files.set(name, data);
+            }
+        } else {
+            files.set(path, bytes);
         }
-    };
-    reader.onerror = () => {
-        appendLog('Erro ao ler o arquivo.', 'error');
-    };
-    reader.readAsText(file);
+    }
+
+    for (const path of [...files.keys()]) {
+        if (IGNORED_PATH_RE.test(path)) files.delete(path);
+    }
+
+    return stripCommonRoot(files);
+}
+
+/**
+ * If every path shares the same top-level folder (e.g. "myproject/…"),
+ * drop it so the project root becomes the FS root.
+ */
+function stripCommonRoot(files) {
+    const paths = [...files.keys()];
+    if (paths.length === 0) return files;
+
+    const first = paths[0].split('/');
+    if (first.length < 2) return files;
+    const root = first[0] + '/';
+    if (!paths.every(p => p.startsWith(root))) return files;
+
+    const stripped = new Map();
+    for (const [path, data] of files) stripped.set(path.slice(root.length), data);
+    return stripped;
+}
+
+/**
+ * Guess which .scad is the entry point: main.scad at the shallowest
+ * depth, otherwise the shallowest file in alphabetical order.
+ */
+function guessMainFile(scadPaths) {
+    const depth = (p) => p.split('/').length;
+    const sorted = [...scadPaths].sort((a, b) => depth(a) - depth(b) || a.localeCompare(b));
+    return sorted.find(p => /(^|\/)main\.scad$/i.test(p)) || sorted[0];
+}
+
+/**
+ * Load a new project. `shared` (permalink state) is restored once the
+ * main file is open; a bundle's scadweb.json provides it as well.
+ */
+async function handleFiles(entries, shared = null) {
+    if (!entries.length) return;
+
+    let files;
+    try {
+        files = await readProjectEntries(entries);
+    } catch (err) {
+        appendLog(`Erro ao ler os arquivos: ${err.message}`, 'error');
+        return;
+    }
+
+    const scadPaths = [...files.keys()].filter(p => p.toLowerCase().endsWith('.scad'));
+    if (scadPaths.length === 0) {
+        appendLog('Erro: selecione um arquivo .scad, uma pasta ou um .zip com arquivos .scad', 'error');
+        return;
+    }
+
+    shared = takeBundleManifest(files) || shared;
+    currentProjectFiles = files;
+    currentProjectId = projectId(entries.map(e => e.path.split('/')[0]), files.keys());
+
+    // A permalink in the address bar no longer describes what is open
+    if (!shared && location.hash.startsWith(SHARE_HASH_PREFIX)) {
+        history.replaceState(null, '', location.href.split('#')[0]);
+    }
+
+    // Main file picker (only useful with more than one .scad)
+    mainFileSelect.innerHTML = '';
+    for (const path of [...scadPaths].sort()) {
+        const option = document.createElement('option');
+        option.value = path;
+        option.textContent = path;
+        mainFileSelect.appendChild(option);
+    }
+    mainFileRow.hidden = scadPaths.length < 2;
+
+    let totalBytes = 0;
+    for (const data of files.values()) totalBytes += data.byteLength;
+    fileSizeEl.textContent = files.size > 1
+        ? `${files.size} arquivos · ${formatSize(totalBytes)}`
+        : formatSize(totalBytes);
+    fileInfoCard.hidden = false;
+
+    if (files.size > 1) {
+        appendLog(`Projeto carregado: ${files.size} arquivo(s), ${scadPaths.length} .scad (${formatSize(totalBytes)})`, 'info');
+    }
+
+    const main = shared?.main && files.has(shared.main) ? shared.main : guessMainFile(scadPaths);
+    mainFileSelect.value = main;
+    selectMainFile(main);
+    btnShare.disabled = false;
+    if (shared) restoreSharedState(shared);
+}
+
+/**
+ * Make `path` the entry point: decode it and rebuild the parameter panel.
+ */
+function selectMainFile(path) {
+    const bytes = currentProjectFiles.get(path);
+    if (!bytes) return;
+
+    currentMainPath = path;
+    currentScadSource = new TextDecoder().decode(bytes);
+    editorPath = path;
+    editor.setValue(currentScadSource);
+    renderEditorFiles();
+    fileNameEl.textContent = path.split('/').pop();
+    fileNameEl.title = path;
+    btnCompile.disabled = false;
+    appendLog(`Arquivo carregado: ${path} (${formatSize(bytes.byteLength)})`, 'info');
+
+    // Parse parameters and render UI
+    currentParams = parseParameters(currentScadSource);
+    renderParams(currentParams);
+    initPresets(path);
+    resetBatch();
+    historySelection.clear();
+    if (document.getElementById('tab-history').classList.contains('active')) renderHistory();
+
+    if (currentParams.length > 0) {
+        // Switch to params tab
+        switchTab('params');
+        appendLog(`${currentParams.length} parâmetro(s) encontrado(s).`, 'success');
+    }
 }
 
 function formatSize(bytes) {
@@ -435,112 +933,339 @@ function formatSize(bytes) {
     return (bytes / 1048576).toFixed(1) + ' MB';
 }
 
+/* ─── Drop traversal (folders arrive as FileSystemEntry trees) ─── */
+
+function readEntryFile(entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+function readDirectoryBatch(reader) {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+async function walkEntry(entry, out) {
+    if (entry.isFile) {
+        out.push({ path: entry.fullPath.replace(/^\//, ''), file: await readEntryFile(entry) });
+    } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+        // readEntries returns results in chunks until an empty batch
+        let batch;
+        while ((batch = await readDirectoryBatch(reader)).length) {
+            for (const child of batch) await walkEntry(child, out);
+        }
+    }
+}
+
+async function collectDroppedEntries(dataTransfer) {
+    const roots = [...dataTransfer.items]
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+
+    if (roots.length === 0) {
+        return [...dataTransfer.files].map(file => ({ path: file.name, file }));
+    }
+
+    const out = [];
+    for (const entry of roots) await walkEntry(entry, out);
+    return out;
+}
+
 // Click to open file picker
 uploadZone.addEventListener('click', () => fileInput.click());
 uploadZone.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); fileInput.click(); }
 });
 fileInput.addEventListener('change', () => {
-    if (fileInput.files.length) handleFile(fileInput.files[0]);
+    handleFiles([...fileInput.files].map(file => ({ path: file.name, file })));
+    fileInput.value = '';
+});
+btnPickFolder.addEventListener('click', (e) => {
+    e.stopPropagation();
+    folderInput.click();
 });
+folderInput.addEventListener('change', () => {
+    handleFiles([...folderInput.files].map(file => ({ path: file.webkitRelativePath || file.name, file })));
+    folderInput.value = '';
+});
+mainFileSelect.addEventListener('change', () => selectMainFile(mainFileSelect.value));
 
 // Drag-and-drop
 uploadZone.addEventListener('dragover', (e) => { e.preventDefault(); uploadZone.classList.add('drag-over'); });
 uploadZone.addEventListener('dragleave', () => uploadZone.classList.remove('drag-over'));
-uploadZone.addEventListener('drop', (e) => {
+uploadZone.addEventListener('drop', async (e) => {
     e.preventDefault();
     uploadZone.classList.remove('drag-over');
-    if (e.dataTransfer.files.length) handleFile(e.dataTransfer.files[0]);
+    try {
+        await handleFiles(await collectDroppedEntries(e.dataTransfer));
+    } catch (err) {
+        appendLog(`Erro ao ler os arquivos: ${err.message}`, 'error');
+    }
 });
 
-/* ═══════════════ WORKER ═══════════════ */
+/* ═══════════════ WORKER POOL ═══════════════ */
 
-function getWorker() {
-    if (worker) return worker;
-    worker = new Worker('worker.js', { type: 'module' });
+// Up to navigator.hardwareConcurrency workers; the interactive compile
+// runs ahead of (and may preempt) background batch variants
+const pool = createWorkerPool({ onError: message => appendLog(message, 'error') });
 
-    worker.addEventListener('message', (e) => {
-        const msg = e.data;
+/**
+ * Messages of the interactive compile job.
+ */
+function onCompileMessage(msg) {
+    switch (msg.type) {
+        case 'log':
+            appendLog(msg.text, msg.level);
+            break;
+
+        case 'diagnostic':
+            addDiagnostic(msg);
+            break;
+
+        case 'result': {
+            const duration = (performance.now() - compileStartedAt) / 1000;
+            const output = {
+                data: msg.data, format: msg.format, dimension: msg.dimension, quality: msg.quality,
+                parts: msg.parts, overlays: msg.overlays,
+            };
+            activeCompileJob = null;
+            setCompiling(false);
+            summarizeDiagnostics();
+            appendLog(`Modelo pronto em ${duration.toFixed(1)} s! Use o mouse para girar/zoom.`, 'success');
+            if (showOutput(output)) recordHistory(output, duration);
+            break;
+        }
 
-        switch (msg.type) {
-            case 'log':
-                appendLog(msg.text, msg.level);
-                break;
+        case 'error':
+            activeCompileJob = null;
+            setCompiling(false);
+            appendLog(`Erro de compilação:\n${msg.message}`, 'error');
+            summarizeDiagnostics();
+            break;
 
-            case 'result':
-                currentStlBuffer = msg.stl;
-                setCompiling(false);
-                btnDownload.disabled = false;
-                appendLog('Modelo pronto! Use o mouse para girar/zoom.', 'success');
-                loadSTLIntoViewer(msg.stl);
-                break;
+        case 'timeout':
+            abortCompile('timeout');
+            break;
+    }
+}
 
-            case 'error':
-                setCompiling(false);
-                appendLog(`Erro de compilação:\n${msg.message}`, 'error');
-                break;
-        }
-    });
+/**
+ * Stop the interactive compile. The pool terminates its worker (a CGAL
+ * render cannot be interrupted from inside) and starts a warm one.
+ */
+function abortCompile(reason) {
+    if (!isCompiling) return;
+
+    const elapsed = ((performance.now() - compileStartedAt) / 1000).toFixed(1);
+    pool.cancel(activeCompileJob);
+    activeCompileJob = null;
+    setCompiling(false);
+
+    if (reason === 'timeout') {
+        appendLog(`Tempo limite de ${getCompileTimeout()} s excedido — compilação abortada após ${elapsed} s.`, 'warning');
+    } else if (reason === 'superseded') {
+        appendLog(`Compilação anterior substituída por novos parâmetros (${elapsed} s).`, 'info');
+    } else {
+        appendLog(`Compilação cancelada pelo usuário após ${elapsed} s.`, 'warning');
+    }
+}
 
-    worker.addEventListener('error', (err) => {
-        setCompiling(false);
-        appendLog(`Erro no worker: ${err.message}`, 'error');
-    });
+/* ═══════════════ COMPILE ═══════════════ */
+
+const COMPILE_TIMEOUT_KEY = 'scadweb.compileTimeout';
 
-    return worker;
+/**
+ * Compile time limit in seconds (0 disables it).
+ */
+function getCompileTimeout() {
+    const seconds = parseFloat(compileTimeoutInput.value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
 }
 
-/* ═══════════════ COMPILE ═══════════════ */
+compileTimeoutInput.value = localStorage.getItem(COMPILE_TIMEOUT_KEY) ?? compileTimeoutInput.value;
+compileTimeoutInput.addEventListener('change', () => {
+    localStorage.setItem(COMPILE_TIMEOUT_KEY, String(getCompileTimeout()));
+});
 
 function setCompiling(state) {
     isCompiling = state;
     btnCompile.disabled = state;
     btnLabel.textContent = state ? 'Compilando…' : 'Compilar';
     btnSpinner.hidden = !state;
+    btnCancel.hidden = !state;
     compileProgress.classList.toggle('active', state);
+
+    if (state) compileStartedAt = performance.now();
 }
 
-btnCompile.addEventListener('click', () => {
+btnCancel.addEventListener('click', () => abortCompile('user'));
+
+/**
+ * Send the current source, parameters and project files to the worker.
+ * Live compiles keep the current tab and a compact progress indicator
+ * so the model stays visible while tuning.
+ */
+function startCompile({ live = false } = {}) {
     if (!currentScadSource || isCompiling) return;
+
+    // Invalid values are reported in the panel instead of being sent
+    const invalid = showParamErrors();
+    if (invalid.length > 0) {
+        appendLog(`Parâmetros inválidos: ${invalid.map(({ p, message }) => `${p.name} (${message})`).join(', ')}`, 'error');
+        if (!live) switchTab('params');
+        return;
+    }
+
     setCompiling(true);
+    compileSnapshot = {
+        projectId: currentProjectId,
+        file: currentMainPath,
+        params: currentParams.map(p => ({ name: p.name, value: p.value })),
+        live,
+    };
+    compileProgress.classList.toggle('compact', live);
+    resetDiagnostics();
     appendLog('─'.repeat(40));
 
-    // Log parameter overrides
-    if (currentParams.length > 0) {
-        const overrides = currentParams.map(p => {
-            if (p.type === 'string') return `${p.name}="${p.value}"`;
-            return `${p.name}=${p.value}`;
-        });
+    // Log parameter overrides ([Hidden] ones keep their source value)
+    const editable = currentParams.filter(p => !p.hidden);
+    if (editable.length > 0) {
+        const overrides = editable.map(p => `${p.name}=${formatLiteral(p)}`);
         appendLog(`Parâmetros: ${overrides.join(', ')}`, 'info');
     }
 
     // Switch to console tab to show compilation progress
-    tabBtns.forEach(b => b.classList.remove('active'));
-    tabContents.forEach(c => c.classList.remove('active'));
-    document.querySelector('[data-tab="console"]').classList.add('active');
-    document.getElementById('tab-console').classList.add('active');
+    if (!live) switchTab('console');
 
     // Send source + parameter overrides to worker
-    const paramOverrides = currentParams.map(p => ({
+    const paramOverrides = editable.map(p => ({
         name: p.name,
         value: p.value,
         type: p.type,
     }));
-    getWorker().postMessage({ type: 'compile', scadSource: currentScadSource, params: paramOverrides });
-});
 
-/* ═══════════════ THREE.JS VIEWER ═══════════════ */
+    activeCompileJob = pool.run({
+        type: 'compile',
+        scadSource: currentScadSource,
+        mainPath: currentMainPath,
+        files: collectProjectFiles(),
+        params: paramOverrides,
+        libraries,
+        format: exportFormatSelect.value,
+        quality: getQuality(),
+        // Live recompiles stay a single render; parts come with the next explicit compile
+        parts: splitPartsToggle.checked && !live,
+        debug: debugModeToggle.checked,
+    }, {
+        priority: PRIORITY.interactive,
+        timeout: getCompileTimeout() * 1000,
+        onMessage: onCompileMessage,
+    });
+}
 
-let scene, camera, renderer, controls, currentMesh;
+/**
+ * Every project file except the main one (sent separately as text).
+ */
+function collectProjectFiles() {
+    const files = [];
+    for (const [path, data] of currentProjectFiles) {
+        if (path !== currentMainPath) files.push({ path, data });
+    }
+    return files;
+}
 
-function initViewer() {
-    // Scene
-    scene = new THREE.Scene();
+btnCompile.addEventListener('click', () => startCompile());
 
-    // Subtle gradient background
-    const bgCanvas = document.createElement('canvas');
-    bgCanvas.width = 2; bgCanvas.height = 256;
-    const ctx = bgCanvas.getContext('2d');
+/* ─── Quality: preview vs final ─── */
+
+const QUALITY_KEY = 'scadweb.quality';
+
+function getQuality() {
+    return document.querySelector('input[name="quality"]:checked').value;
+}
+
+const savedQuality = localStorage.getItem(QUALITY_KEY);
+qualityRadios.forEach(radio => {
+    if (radio.value === savedQuality) radio.checked = true;
+    radio.addEventListener('change', () => localStorage.setItem(QUALITY_KEY, getQuality()));
+});
+
+/* ─── Live mode: recompile on parameter change ─── */
+
+const LIVE_MODE_KEY = 'scadweb.liveMode';
+const LIVE_COMPILE_DELAY = 600; // ms after the last parameter change
+
+let liveCompileTimer = null;
+
+liveModeToggle.checked = localStorage.getItem(LIVE_MODE_KEY) === '1';
+liveModeToggle.addEventListener('change', () => {
+    localStorage.setItem(LIVE_MODE_KEY, liveModeToggle.checked ? '1' : '0');
+    if (!liveModeToggle.checked) clearTimeout(liveCompileTimer);
+});
+
+/**
+ * Debounced recompile for live mode. A compile still running when the
+ * timer fires is superseded: the latest parameter values win.
+ */
+function scheduleLiveCompile() {
+    if (!liveModeToggle.checked || !currentScadSource) return;
+    clearTimeout(liveCompileTimer);
+    liveCompileTimer = setTimeout(() => {
+        if (isCompiling) abortCompile('superseded');
+        startCompile({ live: true });
+    }, LIVE_COMPILE_DELAY);
+}
+
+/* ─── Parts: colors and top-level objects as separate meshes ─── */
+
+const SPLIT_PARTS_KEY = 'scadweb.splitParts';
+
+// Opt-in: each part is one more full render on top of the model's
+splitPartsToggle.checked = localStorage.getItem(SPLIT_PARTS_KEY) === '1';
+splitPartsToggle.addEventListener('change', () => {
+    localStorage.setItem(SPLIT_PARTS_KEY, splitPartsToggle.checked ? '1' : '0');
+});
+
+/* ─── Debug: # and % objects as overlays ─── */
+
+const DEBUG_MODE_KEY = 'scadweb.debugMode';
+
+debugModeToggle.checked = localStorage.getItem(DEBUG_MODE_KEY) === '1';
+debugModeToggle.addEventListener('change', () => {
+    localStorage.setItem(DEBUG_MODE_KEY, debugModeToggle.checked ? '1' : '0');
+});
+
+/* ═══════════════ THREE.JS VIEWER ═══════════════
+ *
+ * Z-up like OpenSCAD: the grid is the XY plane and models are shown
+ * in their own coordinates, only moved (not rotated) onto the grid.
+ */
+
+THREE.Object3D.DEFAULT_UP.set(0, 0, 1);
+
+let scene, camera, renderer, controls, currentMesh;
+let perspCamera, orthoCamera;   // `camera` is whichever is active
+let viewHelper;                 // X/Y/Z axis gizmo in the corner
+let pendingCameraView = null;   // { position, target } from a permalink, used instead of fitCamera once
+
+// Camera direction (from the target) of each standard view
+const VIEW_DIRECTIONS = {
+    iso: [1, -1, 1],
+    top: [0, -1e-4, 1],         // not exactly along Z: the orbit needs a defined "up"
+    front: [0, -1, 0],
+    right: [1, 0, 0],
+};
+
+const PROJECTION_KEY = 'scadweb.projection';
+const KEEP_ORIGIN_KEY = 'scadweb.keepOrigin';
+
+function initViewer() {
+    // Scene
+    scene = new THREE.Scene();
+
+    // Subtle gradient background
+    const bgCanvas = document.createElement('canvas');
+    bgCanvas.width = 2; bgCanvas.height = 256;
+    const ctx = bgCanvas.getContext('2d');
     const grad = ctx.createLinearGradient(0, 0, 0, 256);
     grad.addColorStop(0, '#1a1d2e');
     grad.addColorStop(1, '#0c0e14');
@@ -549,16 +1274,20 @@ function initViewer() {
     const bgTex = new THREE.CanvasTexture(bgCanvas);
     scene.background = bgTex;
 
-    // Camera
-    camera = new THREE.PerspectiveCamera(45, 1, 0.1, 10000);
-    camera.position.set(50, 50, 50);
+    // Cameras (Z-up through DEFAULT_UP)
+    perspCamera = new THREE.PerspectiveCamera(45, 1, 0.1, 10000);
+    orthoCamera = new THREE.OrthographicCamera(-50, 50, 50, -50, 0.1, 10000);
+    camera = perspCamera;
+    camera.position.set(50, -50, 50);
 
     // Renderer
     renderer = new THREE.WebGLRenderer({
         canvas: viewerCanvas,
         antialias: true,
         alpha: false,
+        stencil: true,      // section caps
     });
+    renderer.localClippingEnabled = true;
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
     renderer.toneMappingExposure = 1.1;
@@ -568,15 +1297,16 @@ function initViewer() {
     scene.add(ambientLight);
 
     const dirLight1 = new THREE.DirectionalLight(0xffffff, 1.2);
-    dirLight1.position.set(60, 100, 80);
+    dirLight1.position.set(60, -80, 100);
     scene.add(dirLight1);
 
     const dirLight2 = new THREE.DirectionalLight(0x88aaff, 0.5);
-    dirLight2.position.set(-40, -30, -60);
+    dirLight2.position.set(-40, 60, -30);
     scene.add(dirLight2);
 
-    // Grid helper
+    // Grid helper on the XY plane
     const grid = new THREE.GridHelper(200, 40, 0x2a2d3e, 0x1a1d2e);
+    grid.rotation.x = Math.PI / 2;
     grid.material.transparent = true;
     grid.material.opacity = 0.5;
     scene.add(grid);
@@ -588,18 +1318,36 @@ function initViewer() {
     controls.minDistance = 1;
     controls.maxDistance = 5000;
 
+    // Rotation gizmo for free section planes
+    sectionGizmo = new TransformControls(camera, renderer.domElement);
+    sectionGizmo.setMode('rotate');
+    sectionGizmo.addEventListener('dragging-changed', (e) => { controls.enabled = !e.value; });
+    sectionGizmo.addEventListener('objectChange', onSectionGizmoChange);
+    scene.add(sectionGizmo.getHelper());
+
     // Handle resize
     const ro = new ResizeObserver(() => resizeViewer());
     ro.observe(viewerCanvas.parentElement);
     resizeViewer();
 
+    viewHelper = createViewHelper();
+
     // Render loop
     function animate() {
         requestAnimationFrame(animate);
         controls.update();
         renderer.render(scene, camera);
+        viewHelper.render(renderer);
     }
     animate();
+
+    if (localStorage.getItem(PROJECTION_KEY) === 'ortho') setProjection(true);
+}
+
+function createViewHelper() {
+    const helper = new ViewHelper(camera, renderer.domElement);
+    helper.setLabels('X', 'Y', 'Z');
+    return helper;
 }
 
 function resizeViewer() {
@@ -607,95 +1355,2173 @@ function resizeViewer() {
     const w = container.clientWidth;
     const h = container.clientHeight;
     if (w === 0 || h === 0) return;
-    camera.aspect = w / h;
-    camera.updateProjectionMatrix();
+    perspCamera.aspect = w / h;
+    perspCamera.updateProjectionMatrix();
+    setOrthoHeight(orthoCamera.top - orthoCamera.bottom);
     renderer.setSize(w, h, false);
 }
 
-/* ─── Load STL into viewer ─── */
-function loadSTLIntoViewer(stlBuffer) {
-    // Remove previous mesh
-    if (currentMesh) {
-        scene.remove(currentMesh);
-        currentMesh.geometry.dispose();
-        currentMesh.material.dispose();
-        currentMesh = null;
+/**
+ * Orthographic frustum showing `height` model units vertically.
+ */
+function setOrthoHeight(height) {
+    const aspect = perspCamera.aspect;
+    orthoCamera.top = height / 2;
+    orthoCamera.bottom = -height / 2;
+    orthoCamera.left = -height * aspect / 2;
+    orthoCamera.right = height * aspect / 2;
+    orthoCamera.updateProjectionMatrix();
+}
+
+/* ─── Output parsers ─── */
+
+/**
+ * Parse an OFF mesh (as written by OpenSCAD) into a triangle geometry.
+ * Polygons with more than three vertices are fan-triangulated; optional
+ * per-face colors after the vertex indices are ignored.
+ */
+function parseOFF(text) {
+    const rows = text
+        .split('\n')
+        .map(l => l.replace(/#.*/, '').trim())
+        .filter(Boolean)
+        .map(l => l.split(/\s+/));
+
+    // Header: "OFF" alone or followed by the counts on the same line
+    let r = 0;
+    let counts = rows[r];
+    if (/^C?OFF$/i.test(counts[0])) {
+        counts = counts.length > 1 ? counts.slice(1) : rows[++r];
+    }
+    r++;
+    const nVerts = parseInt(counts[0], 10);
+    const nFaces = parseInt(counts[1], 10);
+
+    const verts = [];
+    for (let v = 0; v < nVerts; v++, r++) verts.push(rows[r].slice(0, 3).map(Number));
+
+    const positions = [];
+    for (let f = 0; f < nFaces; f++, r++) {
+        const row = rows[r];
+        const n = parseInt(row[0], 10);
+        const idx = row.slice(1, n + 1).map(Number);
+        for (let k = 1; k < n - 1; k++) {
+            positions.push(...verts[idx[0]], ...verts[idx[k]], ...verts[idx[k + 1]]);
+        }
     }
 
-    // Parse STL
-    const loader = new STLLoader();
-    const geometry = loader.parse(stlBuffer);
-    geometry.computeVertexNormals();
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return geometry;
+}
+
+/**
+ * Parse the LINE / LWPOLYLINE / POLYLINE entities of a DXF into
+ * a flat list of 2D segment endpoints [x1, y1, x2, y2, …].
+ */
+function parseDXF(text) {
+    const lines = text.split(/\r?\n/);
+    const segments = [];
 
-    // Material — metallic gradient feel
+    const addPolyline = (pts, closed) => {
+        for (let k = 0; k + 1 < pts.length; k++) segments.push(...pts[k], ...pts[k + 1]);
+        if (closed && pts.length > 2) segments.push(...pts[pts.length - 1], ...pts[0]);
+    };
+
+    const finish = (entity) => {
+        if (!entity) return;
+        if (entity.type === 'LINE') segments.push(entity.v[10], entity.v[20], entity.v[11], entity.v[21]);
+        else if (entity.type === 'LWPOLYLINE') addPolyline(entity.pts, entity.flags & 1);
+    };
+
+    let current = null;   // entity whose group codes are being read
+    let polyline = null;  // open POLYLINE collecting VERTEX entities until SEQEND
+
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+        const code = parseInt(lines[i].trim(), 10);
+        const value = lines[i + 1].trim();
+
+        if (code === 0) {
+            finish(current);
+            current = null;
+            if (value === 'LINE') current = { type: 'LINE', v: {} };
+            else if (value === 'LWPOLYLINE') current = { type: 'LWPOLYLINE', pts: [], flags: 0 };
+            else if (value === 'POLYLINE') {
+                polyline = { pts: [], flags: 0 };
+                current = { type: 'POLYLINE', target: polyline };
+            } else if (value === 'VERTEX' && polyline) current = { type: 'VERTEX', target: polyline };
+            else if (value === 'SEQEND' && polyline) {
+                addPolyline(polyline.pts, polyline.flags & 1);
+                polyline = null;
+            }
+            continue;
+        }
+        if (!current) continue;
+
+        const num = parseFloat(value);
+        const pts = current.type === 'VERTEX' ? current.target.pts : current.pts;
+        switch (current.type) {
+            case 'LINE':
+                current.v[code] = num;
+                break;
+            case 'POLYLINE':
+                if (code === 70) current.target.flags = num;
+                break;
+            case 'LWPOLYLINE':
+                if (code === 70) current.flags = num;
+            // falls through — LWPOLYLINE and VERTEX share the 10/20 point codes
+            case 'VERTEX':
+                if (code === 10) pts.push([num, 0]);
+                else if (code === 20 && pts.length) pts[pts.length - 1][1] = num;
+                break;
+        }
+    }
+    finish(current);
+
+    return segments;
+}
+
+/**
+ * Parse an SVG (OpenSCAD flips Y on export) into 2D segment endpoints.
+ */
+function parseSVG(text) {
+    const data = new SVGLoader().parse(text);
+    const segments = [];
+    for (const path of data.paths) {
+        for (const sub of path.subPaths) {
+            const pts = sub.getPoints();
+            for (let k = 0; k + 1 < pts.length; k++) {
+                segments.push(pts[k].x, -pts[k].y, pts[k + 1].x, -pts[k + 1].y);
+            }
+            if (sub.autoClose && pts.length > 2) {
+                const a = pts[pts.length - 1], b = pts[0];
+                segments.push(a.x, -a.y, b.x, -b.y);
+            }
+        }
+    }
+    return segments;
+}
+
+/**
+ * Collapse every mesh of a loaded Group into one position-only geometry.
+ */
+function mergeGroupGeometry(group) {
+    const parts = [];
+    group.updateMatrixWorld(true);
+    group.traverse((obj) => {
+        if (!obj.isMesh) return;
+        const g = obj.geometry.index ? obj.geometry.toNonIndexed() : obj.geometry.clone();
+        for (const name of Object.keys(g.attributes)) {
+            if (name !== 'position') g.deleteAttribute(name);
+        }
+        g.applyMatrix4(obj.matrixWorld);
+        parts.push(g);
+    });
+    if (parts.length === 0) throw new Error('nenhuma malha encontrada');
+    return mergeGeometries(parts);
+}
+
+const MODEL_COLOR = 0x06b6d4;
+
+/**
+ * Material of solid models — metallic gradient feel. `color` is an
+ * OpenSCAD color() as [r, g, b, a] (sRGB, 0–1), or null for the app's.
+ */
+function modelMaterial(color = null) {
     const material = new THREE.MeshPhysicalMaterial({
-        color: 0x06b6d4,
+        color: MODEL_COLOR,
         metalness: 0.15,
         roughness: 0.35,
         clearcoat: 0.3,
         clearcoatRoughness: 0.25,
         envMapIntensity: 0.6,
     });
+    if (color) {
+        material.color.setRGB(color[0], color[1], color[2], THREE.SRGBColorSpace);
+        material.transparent = color[3] < 1;
+        material.opacity = color[3];
+    }
+    return material;
+}
+
+/**
+ * Turn compiled output into a renderable object: a mesh for 3D formats,
+ * flat outlines (LineSegments) for DXF/SVG.
+ */
+function buildModelObject(buffer, format) {
+    const text = () => new TextDecoder().decode(buffer);
+    let geometry;
+
+    switch (format) {
+        case 'stl':
+            geometry = new STLLoader().parse(buffer);
+            break;
+        case 'off':
+            geometry = parseOFF(text());
+            break;
+        case 'amf':
+            geometry = mergeGroupGeometry(new AMFLoader().parse(buffer));
+            break;
+        case 'dxf':
+        case 'svg': {
+            const segs = format === 'dxf' ? parseDXF(text()) : parseSVG(text());
+            const positions = [];
+            for (let k = 0; k < segs.length; k += 4) {
+                positions.push(segs[k], segs[k + 1], 0, segs[k + 2], segs[k + 3], 0);
+            }
+            geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            const material = new THREE.LineBasicMaterial({ color: MODEL_COLOR });
+            // The XY outline already lies flat on the grid
+            return new THREE.LineSegments(geometry, material);
+        }
+        default:
+            throw new Error(`formato desconhecido: ${format}`);
+    }
 
-    currentMesh = new THREE.Mesh(geometry, material);
+    geometry.computeVertexNormals();
+    return new THREE.Mesh(geometry, modelMaterial());
+}
 
-    // Center the model
-    geometry.computeBoundingBox();
-    const box = geometry.boundingBox;
-    const center = new THREE.Vector3();
-    box.getCenter(center);
-    geometry.translate(-center.x, -center.y, -center.z);
+/* ─── Load compiled model into viewer ─── */
+function loadModelIntoViewer(buffer, format, parts = null, overlays = null) {
+    // Remove previous mesh
+    if (currentMesh) {
+        scene.remove(currentMesh);
+        disposeParts();
+        disposeOverlays();
+        disposeAnalysis();
+        disposeDiff();
+        currentMesh.geometry.dispose();
+        currentMesh.material.dispose();
+        currentMesh = null;
+    }
 
-    // Shift so it sits on the grid (Y = 0 at bottom)
-    const sizeY = box.max.y - box.min.y;
-    geometry.translate(0, sizeY / 2, 0);
+    currentMesh = buildModelObject(buffer, format);
+    placeModel();
 
     scene.add(currentMesh);
+    showParts(parts);
+    showOverlays(overlays);
+    resetMeasurements();
+    showModelStats();
+    rebuildSectionPlanes();
+    if (!analysisPanel.hidden) runAnalysis();
+    if (!diffPanel.hidden) showDiff();
 
     // Fit camera
-    fitCamera(geometry);
+    fitCamera(currentMesh);
+    if (pendingCameraView) {
+        camera.position.fromArray(pendingCameraView.position);
+        controls.target.fromArray(pendingCameraView.target);
+        controls.update();
+        pendingCameraView = null;
+    }
 
     // Hide placeholder
     viewerOverlay.classList.add('hidden');
 }
 
-function fitCamera(geometry) {
-    geometry.computeBoundingSphere();
-    const sphere = geometry.boundingSphere;
+/**
+ * Put the model on the grid: centred in XY with its bottom at Z = 0,
+ * or exactly where OpenSCAD placed it when "Origem do modelo" is on.
+ * Only the object moves; the geometry keeps model coordinates.
+ */
+function placeModel() {
+    if (keepOriginToggle.checked) {
+        currentMesh.position.set(0, 0, 0);
+    } else {
+        currentMesh.geometry.computeBoundingBox();
+        const box = currentMesh.geometry.boundingBox;
+        const center = box.getCenter(new THREE.Vector3());
+        currentMesh.position.set(-center.x, -center.y, -box.min.z);
+    }
+    currentMesh.updateMatrixWorld();
+}
+
+/**
+ * Frame `object` from one of VIEW_DIRECTIONS.
+ */
+function fitCamera(object, view = 'iso') {
+    const sphere = object
+        ? new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere())
+        : new THREE.Sphere(new THREE.Vector3(), 30);
     const r = sphere.radius || 10;
-    const dist = r / Math.tan((camera.fov * Math.PI) / 360) * 1.4;
-    camera.position.set(dist * 0.7, dist * 0.5, dist * 0.7);
+    const dist = r / Math.tan((perspCamera.fov * Math.PI) / 360) * 1.4;
+    const direction = new THREE.Vector3(...VIEW_DIRECTIONS[view]).normalize();
+
+    for (const cam of [perspCamera, orthoCamera]) {
+        cam.position.copy(sphere.center).addScaledVector(direction, dist);
+        cam.near = r * 0.01;
+        cam.far = r * 100;
+        cam.zoom = 1;
+        cam.updateProjectionMatrix();
+    }
+    setOrthoHeight(r * 2.4);
     controls.target.copy(sphere.center);
     controls.update();
-    camera.near = r * 0.01;
-    camera.far = r * 100;
-    camera.updateProjectionMatrix();
 }
 
-/* ─── Reset camera ─── */
-btnResetCam.addEventListener('click', () => {
-    if (currentMesh) {
-        fitCamera(currentMesh.geometry);
+/**
+ * Switch between perspective and orthographic, keeping the view: the
+ * ortho frustum matches what the perspective camera sees at the target.
+ */
+function setProjection(ortho) {
+    const next = ortho ? orthoCamera : perspCamera;
+    if (next === camera) return;
+    const halfFov = (perspCamera.fov * Math.PI) / 360;
+    const offset = camera.position.clone().sub(controls.target);
+
+    if (ortho) {
+        setOrthoHeight(2 * offset.length() * Math.tan(halfFov));
+        orthoCamera.zoom = 1;
+        orthoCamera.updateProjectionMatrix();
     } else {
-        camera.position.set(50, 50, 50);
-        controls.target.set(0, 0, 0);
-        controls.update();
+        const height = (orthoCamera.top - orthoCamera.bottom) / orthoCamera.zoom;
+        offset.setLength(height / (2 * Math.tan(halfFov)));
     }
+    next.position.copy(controls.target).add(offset);
+    next.near = camera.near;
+    next.far = camera.far;
+    next.updateProjectionMatrix();
+
+    camera = next;
+    controls.object = camera;
+    sectionGizmo.camera = camera;
+    viewHelper.dispose();
+    viewHelper = createViewHelper();
+    controls.update();
+
+    btnProjection.textContent = ortho ? 'Ortográfica' : 'Perspectiva';
+    btnProjection.classList.toggle('active', ortho);
+    localStorage.setItem(PROJECTION_KEY, ortho ? 'ortho' : 'persp');
+}
+
+/* ─── Reset camera, views, projection, origin ─── */
+btnResetCam.addEventListener('click', () => fitCamera(currentMesh));
+
+viewBtns.forEach(btn => btn.addEventListener('click', () => fitCamera(currentMesh, btn.dataset.view)));
+
+btnProjection.addEventListener('click', () => setProjection(camera !== orthoCamera));
+
+keepOriginToggle.checked = localStorage.getItem(KEEP_ORIGIN_KEY) === '1';
+keepOriginToggle.addEventListener('change', () => {
+    localStorage.setItem(KEEP_ORIGIN_KEY, keepOriginToggle.checked ? '1' : '0');
+    if (!currentMesh) return;
+    placeModel();
+    sectionPlanes.forEach(updateSectionPlane);
+    fitCamera(currentMesh);
 });
 
-/* ─── Download STL ─── */
-btnDownload.addEventListener('click', () => {
-    if (!currentStlBuffer) return;
-    const blob = new Blob([currentStlBuffer], { type: 'application/octet-stream' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = (fileNameEl.textContent || 'model').replace(/\.scad$/i, '') + '.stl';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+/* ═══════════════ MEASUREMENTS ═══════════════
+ *
+ * Bounding box, volume and area of the loaded model, plus picking
+ * tools (distance, edge length, angle between faces, radius of a
+ * circular edge). Picks are converted to model coordinates, and the
+ * markers live inside the model object so they follow it.
+ */
+
+let measureTool = null;         // 'distance' | 'edge' | 'angle' | 'radius' | null
+let measurePicks = [];          // { point, normal } in model coordinates
+let measureGroup = null;        // markers of the current measurement (child of currentMesh)
+let featureEdges = null;        // buildFeatureEdges() of the current model, built on first use
+let pointerDownAt = null;
+
+const MEASURE_COLOR = 0xfbbf24;
+
+function formatMeasure(value) {
+    return value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Always-visible readout for the loaded model (model units, usually mm).
+ */
+function showModelStats() {
+    const solid = currentMesh.isMesh;
+    const stats = computeMeshStats(currentMesh.geometry, { surface: solid });
+    const [x, y, z] = stats.size.map(formatMeasure);
+    let html = solid
+        ? `<span>X ${x}</span><span>Y ${y}</span><span>Z ${z}</span>`
+        : `<span>X ${x}</span><span>Y ${y}</span>`;
+    if (solid) {
+        html += `<br><span>Volume ${formatMeasure(stats.volume)}</span><span>Área ${formatMeasure(stats.area)}</span>`;
+    }
+    modelStatsEl.innerHTML = html;
+    modelStatsEl.hidden = false;
+
+    measureToolBtns.forEach(btn => { btn.disabled = !solid; });
+    if (!solid) setMeasureTool(null);
+}
+
+function setMeasureTool(tool) {
+    measureTool = tool;
+    measureToolBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.tool === tool));
+    viewerCanvas.classList.toggle('measuring', !!tool);
+    clearMeasureMarkers();
+    measureReadout.hidden = !tool;
+    measureReadout.textContent = {
+        distance: 'Clique em dois pontos do modelo.',
+        edge: 'Clique em uma aresta.',
+        angle: 'Clique em duas faces.',
+        radius: 'Clique em uma aresta circular (furo, borda de cilindro).',
+    }[tool] || '';
+}
+
+function clearMeasureMarkers() {
+    measurePicks = [];
+    if (!measureGroup) return;
+    measureGroup.parent?.remove(measureGroup);
+    measureGroup.traverse((obj) => {
+        obj.geometry?.dispose();
+        obj.material?.dispose();
+    });
+    measureGroup = null;
+}
+
+function resetMeasurements() {
+    featureEdges = null;
+    clearMeasureMarkers();
+    if (measureTool) setMeasureTool(measureTool);
+}
+
+function markerGroup() {
+    if (!measureGroup) {
+        measureGroup = new THREE.Group();
+        measureGroup.renderOrder = 10;
+        currentMesh.add(measureGroup);
+    }
+    return measureGroup;
+}
+
+/** Marker size relative to the model, so it reads at any scale. */
+function markerRadius() {
+    const size = currentMesh.geometry.boundingBox.getSize(new THREE.Vector3());
+    return Math.max(size.x, size.y, size.z) * 0.008;
+}
+
+function addPointMarker(point) {
+    const mesh = new THREE.Mesh(
+        new THREE.SphereGeometry(markerRadius(), 12, 8),
+        new THREE.MeshBasicMaterial({ color: MEASURE_COLOR, depthTest: false }),
+    );
+    mesh.position.copy(point);
+    mesh.renderOrder = 10;
+    markerGroup().add(mesh);
+}
+
+function addLineMarker(points, closed = false) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(closed ? [...points, points[0]] : points);
+    const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false }));
+    line.renderOrder = 10;
+    markerGroup().add(line);
+}
+
+/**
+ * Raycast the model under the pointer; returns the hit in model coordinates.
+ */
+function pickModel(e) {
+    const rect = viewerCanvas.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(ndc, camera);
+    // Surfaces removed by a section plane or a hidden part cannot be
+    // picked; parts share the model's coordinates
+    const targets = partMeshes.length ? partMeshes.filter(p => p.mesh.visible).map(p => p.mesh) : [currentMesh];
+    const hit = raycaster.intersectObjects(targets, false)
+        .find(h => sectionPlanes.every(sp => sp.world.distanceToPoint(h.point) >= 0));
+    if (!hit) return null;
+    return { point: currentMesh.worldToLocal(hit.point.clone()), normal: hit.face.normal.clone() };
+}
+
+/**
+ * Feature edge nearest to a pick, or null when the click was too far from any.
+ */
+function pickEdge(point) {
+    if (!featureEdges) featureEdges = buildFeatureEdges(currentMesh.geometry);
+    const { index, distance } = nearestSegment(featureEdges, point);
+    if (index < 0 || distance > markerRadius() * 4) return null;
+    return index;
+}
+
+function onMeasurePick(pick) {
+    // A finished measurement is cleared by the next click
+    if (measureGroup && measurePicks.length === 0) clearMeasureMarkers();
+
+    switch (measureTool) {
+        case 'distance': {
+            measurePicks.push(pick);
+            addPointMarker(pick.point);
+            if (measurePicks.length < 2) {
+                measureReadout.textContent = 'Clique no segundo ponto.';
+                return;
+            }
+            const [a, b] = measurePicks.map(p => p.point);
+            addLineMarker([a, b]);
+            const d = b.clone().sub(a);
+            measureReadout.textContent = `Distância ${formatMeasure(d.length())} ` +
+                `(ΔX ${formatMeasure(Math.abs(d.x))} · ΔY ${formatMeasure(Math.abs(d.y))} · ΔZ ${formatMeasure(Math.abs(d.z))})`;
+            measurePicks = [];
+            break;
+        }
+
+        case 'angle': {
+            measurePicks.push(pick);
+            addPointMarker(pick.point);
+            if (measurePicks.length < 2) {
+                measureReadout.textContent = 'Clique na segunda face.';
+                return;
+            }
+            const angle = angleBetweenNormals(measurePicks[0].normal, measurePicks[1].normal);
+            addLineMarker(measurePicks.map(p => p.point));
+            measureReadout.textContent = `Ângulo entre as faces ${formatMeasure(angle)}° ` +
+                `(diedro ${formatMeasure(180 - angle)}°)`;
+            measurePicks = [];
+            break;
+        }
+
+        case 'edge': {
+            const segment = pickEdge(pick.point);
+            if (segment === null) {
+                measureReadout.textContent = 'Nenhuma aresta aqui — clique mais perto de uma borda.';
+                return;
+            }
+            const edge = straightEdge(featureEdges, segment);
+            addLineMarker([edge.from, edge.to]);
+            addPointMarker(edge.from);
+            addPointMarker(edge.to);
+            measureReadout.textContent = `Aresta ${formatMeasure(edge.length)}`;
+            break;
+        }
+
+        case 'radius': {
+            const segment = pickEdge(pick.point);
+            if (segment === null) {
+                measureReadout.textContent = 'Nenhuma aresta aqui — clique mais perto de uma borda circular.';
+                return;
+            }
+            const loop = edgeLoop(featureEdges, segment);
+            const circle = fitCircle(loop.points);
+            addLineMarker(loop.points, loop.closed);
+            if (!circle) {
+                measureReadout.textContent = 'Esta aresta não é circular.';
+                return;
+            }
+            addPointMarker(circle.center);
+            measureReadout.textContent = `Raio ${formatMeasure(circle.radius)} · Ø ${formatMeasure(circle.radius * 2)}` +
+                (loop.closed ? '' : ' (arco)');
+            break;
+        }
+    }
+}
+
+measureToolBtns.forEach(btn => btn.addEventListener('click', () => {
+    setMeasureTool(measureTool === btn.dataset.tool ? null : btn.dataset.tool);
+}));
+
+btnMeasureClear.addEventListener('click', () => setMeasureTool(null));
+
+// A click (not an orbit drag) with a tool selected picks a point
+viewerCanvas.addEventListener('pointerdown', (e) => {
+    pointerDownAt = { x: e.clientX, y: e.clientY };
+});
+viewerCanvas.addEventListener('pointerup', (e) => {
+    if (!measureTool || !currentMesh?.isMesh || !pointerDownAt || e.button !== 0) return;
+    const moved = Math.hypot(e.clientX - pointerDownAt.x, e.clientY - pointerDownAt.y);
+    pointerDownAt = null;
+    if (moved > 4) return;
+    const pick = pickModel(e);
+    if (pick) onMeasurePick(pick);
 });
 
-/* ═══════════════ INIT ═══════════════ */
-initViewer();
+/* ═══════════════ SECTION PLANES ═══════════════
+ *
+ * Up to three clipping planes on currentMesh, along the model's X/Y/Z
+ * or freely oriented with a rotation gizmo, each with a slider that
+ * sweeps it through the model. Cut faces are capped with the stencil
+ * technique: per plane, the model's back faces increment and its front
+ * faces decrement the stencil, and a large quad is drawn where the
+ * count is non-zero (inside the solid).
+ */
+
+const MAX_SECTION_PLANES = 3;
+const SECTION_CAP_COLOR = 0xf43f5e;
+const SECTION_AXES = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+
+// { axis, normal (model space), offset, flip, world: Plane, stencil: Group, cap: Mesh, handle: Object3D }
+let sectionPlanes = [];
+let sectionGizmo = null;
+let gizmoPlane = null;          // free plane the gizmo is attached to
+
+/**
+ * Range of `offset` for a plane normal: projections of the model's box corners.
+ */
+function sectionRange(normal) {
+    const box = currentMesh.geometry.boundingBox;
+    let min = Infinity, max = -Infinity;
+    for (const x of [box.min.x, box.max.x]) {
+        for (const y of [box.min.y, box.max.y]) {
+            for (const z of [box.min.z, box.max.z]) {
+                const d = normal.x * x + normal.y * y + normal.z * z;
+                min = Math.min(min, d);
+                max = Math.max(max, d);
+            }
+        }
+    }
+    return { min, max };
+}
+
+/**
+ * Model-space normal of a plane before flipping; `offset` is measured along it.
+ */
+function sectionNormal(sp) {
+    return sp.axis === 'free' ? sp.normal.clone() : new THREE.Vector3(...SECTION_AXES[sp.axis]);
+}
+
+/**
+ * Recompute the world-space plane (keeps the same Plane object, which
+ * the materials reference) and move the cap and gizmo handle onto it.
+ * The visible side is where the normal points: the model is cut at
+ * `offset` and everything beyond the plane is kept.
+ */
+function updateSectionPlane(sp) {
+    const normal = sectionNormal(sp);
+    const local = sp.flip
+        ? new THREE.Plane(normal.negate(), sp.offset)
+        : new THREE.Plane(normal, -sp.offset);
+    sp.world.copy(local).applyMatrix4(currentMesh.matrixWorld);
+
+    const center = new THREE.Vector3();
+    currentMesh.geometry.boundingBox.getCenter(center);
+    currentMesh.localToWorld(center);
+    const point = sp.world.projectPoint(center, new THREE.Vector3());
+    if (sp.cap) {
+        sp.cap.position.copy(point);
+        sp.cap.lookAt(point.clone().sub(sp.world.normal));
+    }
+    if (sp.handle && sectionGizmo.dragging !== true) {
+        sp.handle.position.copy(point);
+        sp.handle.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), sp.world.normal);
+    }
+}
+
+function disposeSectionObjects(sp) {
+    for (const obj of [sp.stencil, sp.cap]) {
+        if (!obj) continue;
+        obj.parent?.remove(obj);
+        obj.traverse((o) => {
+            if (o.material) o.material.dispose();
+            if (o.isMesh && o !== sp.stencil && o.geometry !== currentMesh?.geometry) o.geometry.dispose();
+        });
+    }
+    sp.stencil = sp.cap = null;
+    if (sp.handle) {
+        sp.handle.parent?.remove(sp.handle);
+        sp.handle = null;
+    }
+}
+
+function stencilMaterial(plane, side, op) {
+    return new THREE.MeshBasicMaterial({
+        side,
+        clippingPlanes: [plane],
+        depthWrite: false,
+        depthTest: false,
+        colorWrite: false,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        stencilFail: op,
+        stencilZFail: op,
+        stencilZPass: op,
+    });
+}
+
+/**
+ * (Re)create the clipping setup for the current model and plane list.
+ */
+function rebuildSectionPlanes() {
+    for (const sp of sectionPlanes) disposeSectionObjects(sp);
+    sectionGizmo.detach();
+    gizmoPlane = null;
+    if (!currentMesh?.isMesh) {
+        renderSectionList();
+        return;
+    }
+
+    const capped = sectionCapsToggle.checked;
+    const planes = sectionPlanes.map(sp => sp.world);
+    currentMesh.geometry.computeBoundingSphere();
+    const radius = currentMesh.geometry.boundingSphere.radius;
+
+    sectionPlanes.forEach((sp, i) => {
+        const others = planes.filter(p => p !== sp.world);
+
+        if (capped) {
+            sp.stencil = new THREE.Group();
+            const back = new THREE.Mesh(currentMesh.geometry, stencilMaterial(sp.world, THREE.BackSide, THREE.IncrementWrapStencilOp));
+            const front = new THREE.Mesh(currentMesh.geometry, stencilMaterial(sp.world, THREE.FrontSide, THREE.DecrementWrapStencilOp));
+            back.renderOrder = front.renderOrder = i + 1;
+            sp.stencil.add(back, front);
+            currentMesh.add(sp.stencil);
+
+            sp.cap = new THREE.Mesh(
+                new THREE.PlaneGeometry(radius * 4, radius * 4),
+                new THREE.MeshBasicMaterial({
+                    color: SECTION_CAP_COLOR,
+                    clippingPlanes: others,
+                    stencilWrite: true,
+                    stencilRef: 0,
+                    stencilFunc: THREE.NotEqualStencilFunc,
+                    stencilFail: THREE.ReplaceStencilOp,
+                    stencilZFail: THREE.ReplaceStencilOp,
+                    stencilZPass: THREE.ReplaceStencilOp,
+                }),
+            );
+            sp.cap.renderOrder = i + 1.1;
+            // Reset the stencil for the next plane
+            sp.cap.onAfterRender = (r) => r.clearStencil();
+            scene.add(sp.cap);
+        }
+
+        if (sp.axis === 'free') {
+            sp.handle = new THREE.Object3D();
+            scene.add(sp.handle);
+            gizmoPlane = sp;
+        }
+
+        const { min, max } = sectionRange(sectionNormal(sp));
+        sp.offset = THREE.MathUtils.clamp(sp.offset ?? (min + max) / 2, min, max);
+        updateSectionPlane(sp);
+    });
+
+    if (gizmoPlane) sectionGizmo.attach(gizmoPlane.handle);
+    applySectionClipping();
+    renderSectionList();
+}
+
+/**
+ * Clip the model and everything drawn with it (parts, debug overlays,
+ * analysis and comparison layers) by the current planes.
+ */
+function applySectionClipping() {
+    const planes = sectionPlanes.map(sp => sp.world);
+    const capped = sectionCapsToggle.checked;
+
+    // The model (or its parts) draws after the caps; without caps its
+    // inside shows through the cut
+    for (const mesh of [currentMesh, ...partMeshes.map(p => p.mesh), ...Object.values(overlayMeshes)]) {
+        mesh.material.clippingPlanes = planes;
+        mesh.material.side = planes.length && !capped ? THREE.DoubleSide : THREE.FrontSide;
+        mesh.material.needsUpdate = true;
+        mesh.renderOrder = sectionPlanes.length + 1;
+    }
+    for (const layer of [...Object.values(analysisLayers), ...Object.values(diffLayers)]) {
+        layer.traverse((obj) => {
+            if (!obj.material) return;
+            obj.material.clippingPlanes = planes;
+            obj.material.needsUpdate = true;
+            obj.renderOrder = sectionPlanes.length + 2;
+        });
+    }
+}
+
+function onSectionGizmoChange() {
+    const sp = gizmoPlane;
+    if (!sp) return;
+    // Back to model space, ignoring the flip (the slider keeps its meaning)
+    const worldNormal = new THREE.Vector3(0, 0, 1).applyQuaternion(sp.handle.quaternion);
+    const toModel = new THREE.Matrix3().setFromMatrix4(currentMesh.matrixWorld).invert();
+    sp.normal = worldNormal.applyMatrix3(toModel).normalize();
+    if (sp.flip) sp.normal.negate();
+    const { min, max } = sectionRange(sp.normal);
+    sp.offset = THREE.MathUtils.clamp(sp.offset, min, max);
+    updateSectionPlane(sp);
+    renderSectionList();
+}
+
+function renderSectionList() {
+    sectionList.innerHTML = '';
+    const enabled = !!currentMesh?.isMesh;
+    btnSectionAdd.disabled = !enabled || sectionPlanes.length >= MAX_SECTION_PLANES;
+
+    sectionPlanes.forEach((sp) => {
+        const row = document.createElement('div');
+        row.className = 'section-row';
+
+        const axis = document.createElement('select');
+        for (const [value, label] of [['x', 'X'], ['y', 'Y'], ['z', 'Z'], ['free', 'Livre']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            axis.appendChild(option);
+        }
+        axis.value = sp.axis;
+        axis.title = 'Orientação do plano (Livre: gire com o gizmo)';
+        axis.addEventListener('change', () => {
+            sp.axis = axis.value;
+            if (sp.axis === 'free') sp.normal = new THREE.Vector3(...SECTION_AXES.z);
+            sp.offset = null;
+            rebuildSectionPlanes();
+        });
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.step = 'any';
+        const value = document.createElement('span');
+        value.className = 'section-value';
+        if (enabled) {
+            const { min, max } = sectionRange(sectionNormal(sp));
+            slider.min = min;
+            slider.max = max;
+            slider.value = sp.offset;
+            value.textContent = formatMeasure(sp.offset);
+        }
+        slider.disabled = !enabled;
+        slider.addEventListener('input', () => {
+            sp.offset = parseFloat(slider.value);
+            value.textContent = formatMeasure(sp.offset);
+            updateSectionPlane(sp);
+        });
+
+        const flip = document.createElement('button');
+        flip.className = 'btn-icon';
+        flip.textContent = '⇅';
+        flip.title = 'Inverter o lado mostrado';
+        flip.addEventListener('click', () => {
+            sp.flip = !sp.flip;
+            updateSectionPlane(sp);
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-icon';
+        remove.textContent = '✕';
+        remove.title = 'Remover plano';
+        remove.addEventListener('click', () => {
+            disposeSectionObjects(sp);
+            sectionPlanes = sectionPlanes.filter(p => p !== sp);
+            rebuildSectionPlanes();
+        });
+
+        row.append(axis, slider, value, flip, remove);
+        sectionList.appendChild(row);
+    });
+}
+
+function addSectionPlane(axis) {
+    if (sectionPlanes.length >= MAX_SECTION_PLANES) return;
+    sectionPlanes.push({
+        axis, normal: new THREE.Vector3(...SECTION_AXES.z), offset: null, flip: false,
+        world: new THREE.Plane(), stencil: null, cap: null, handle: null,
+    });
+    rebuildSectionPlanes();
+}
+
+btnSection.addEventListener('click', () => {
+    const open = sectionPanel.hidden;
+    sectionPanel.hidden = !open;
+    btnSection.classList.toggle('active', open);
+    if (open && sectionPlanes.length === 0) {
+        addSectionPlane('z');
+    } else if (!open) {
+        for (const sp of sectionPlanes) disposeSectionObjects(sp);
+        sectionPlanes = [];
+        rebuildSectionPlanes();
+    }
+});
+
+btnSectionAdd.addEventListener('click', () => {
+    const used = new Set(sectionPlanes.map(sp => sp.axis));
+    addSectionPlane(['z', 'x', 'y'].find(a => !used.has(a)) || 'free');
+});
+
+sectionCapsToggle.addEventListener('change', rebuildSectionPlanes);
+
+/* ═══════════════ PARTS ═══════════════
+ *
+ * With "Peças e cores" on, models with several top-level objects or
+ * color() calls come with one STL per part (worker.js, csg.js). Parts
+ * are drawn as children of currentMesh, which is no longer drawn itself
+ * but still serves statistics, measurements and section caps.
+ */
+
+let partMeshes = [];            // { part: { label, color, data }, mesh } of the current model
+
+/**
+ * Draw the parts of a freshly loaded model. A single part only colors
+ * the model.
+ */
+function showParts(parts) {
+    partMeshes = [];
+    if (parts?.length === 1) {
+        currentMesh.material.dispose();
+        currentMesh.material = modelMaterial(parts[0].color);
+    } else if (parts?.length > 1) {
+        for (const part of parts) {
+            const geometry = new STLLoader().parse(part.data);
+            geometry.computeVertexNormals();
+            const mesh = new THREE.Mesh(geometry, modelMaterial(part.color));
+            currentMesh.add(mesh);
+            partMeshes.push({ part, mesh });
+        }
+        currentMesh.material.visible = false;
+    }
+    renderPartsList();
+}
+
+function disposeParts() {
+    for (const { mesh } of partMeshes) {
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    }
+    partMeshes = [];
+}
+
+/** "bracket_peca-2_ff0000.stl" */
+function partFileName(part, index) {
+    const color = part.color ? '_' + colorHex(part.color).slice(1) : '';
+    return `${modelBaseName()}_peca-${index + 1}${color}.stl`;
+}
+
+function renderPartsList() {
+    partsList.innerHTML = '';
+    partsPanel.hidden = partMeshes.length === 0;
+
+    partMeshes.forEach(({ part, mesh }, i) => {
+        const li = document.createElement('li');
+        li.className = 'part-row';
+
+        const visible = document.createElement('input');
+        visible.type = 'checkbox';
+        visible.checked = mesh.visible;
+        visible.title = 'Mostrar/ocultar esta peça';
+        visible.addEventListener('change', () => { mesh.visible = visible.checked; });
+
+        const swatch = document.createElement('span');
+        swatch.className = 'part-swatch';
+        swatch.style.background = '#' + mesh.material.color.getHexString(THREE.SRGBColorSpace);
+        if (part.color && part.color[3] < 1) swatch.style.opacity = part.color[3];
+
+        const name = document.createElement('span');
+        name.className = 'part-name';
+        name.textContent = `${i + 1}. ${part.label}`;
+        name.title = part.color ? `color ${colorHex(part.color)}` : 'sem color()';
+
+        const download = document.createElement('button');
+        download.className = 'btn-icon';
+        download.textContent = '⤓';
+        download.title = 'Baixar esta peça em STL';
+        download.addEventListener('click', () => {
+            if (!confirmPreviewDownload(currentOutput)) return;
+            saveBlob(new Blob([part.data], { type: FORMAT_MIME.stl }), partFileName(part, i));
+        });
+
+        li.append(visible, swatch, name, download);
+        partsList.appendChild(li);
+    });
+}
+
+// Every part in one .zip, e.g. to load them as one multi-material object in the slicer
+btnPartsZip.addEventListener('click', async () => {
+    if (!partMeshes.length || !confirmPreviewDownload(currentOutput)) return;
+    const { zipSync } = await import('fflate');
+    const entries = {};
+    partMeshes.forEach(({ part }, i) => { entries[partFileName(part, i)] = new Uint8Array(part.data); });
+    saveBlob(new Blob([zipSync(entries, { level: 6 })], { type: 'application/zip' }), `${modelBaseName()}_pecas.zip`);
+});
+
+/* ═══════════════ DEBUG OVERLAYS ═══════════════
+ *
+ * With "Depuração" on, the highlighted (#) and background (%) objects
+ * come as two extra STLs and are drawn over the model, translucent red
+ * and grey as in OpenSCAD's preview. Like parts, they are children of
+ * currentMesh and share its coordinates.
+ */
+
+const OVERLAY_STYLES = {
+    highlight: { color: 0xff3b3b, opacity: 0.45 },
+    background: { color: 0x9ca3af, opacity: 0.25 },
+};
+
+let overlayMeshes = {};         // kind → Mesh of the current model
+
+function showOverlays(overlays) {
+    overlayMeshes = {};
+    for (const [kind, style] of Object.entries(OVERLAY_STYLES)) {
+        const data = overlays?.[kind];
+        if (!data) continue;
+        const geometry = new STLLoader().parse(data);
+        geometry.computeVertexNormals();
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            color: style.color,
+            transparent: true,
+            opacity: style.opacity,
+            depthWrite: false,
+        }));
+        currentMesh.add(mesh);
+        overlayMeshes[kind] = mesh;
+    }
+
+    debugLegend.hidden = Object.keys(overlayMeshes).length === 0;
+    debugToggles.forEach((toggle) => {
+        const mesh = overlayMeshes[toggle.dataset.overlay];
+        toggle.closest('label').hidden = !mesh;
+        if (mesh) mesh.visible = toggle.checked;
+    });
+}
+
+function disposeOverlays() {
+    for (const mesh of Object.values(overlayMeshes)) {
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    }
+    overlayMeshes = {};
+}
+
+debugToggles.forEach(toggle => toggle.addEventListener('change', () => {
+    const mesh = overlayMeshes[toggle.dataset.overlay];
+    if (mesh) mesh.visible = toggle.checked;
+}));
+
+/* ═══════════════ PRINT ANALYSIS ═══════════════
+ *
+ * Topology, overhangs and wall thickness of the loaded model
+ * (analysis.js), computed in analysis-worker.js. Problem faces are
+ * painted over the model as heat-map layers: overhangs from violet
+ * (just past the angle) to blue (flat ceiling), thin walls from red
+ * (thinnest) to yellow (almost the minimum), and flipped faces and
+ * open / non-manifold edges in orange.
+ */
+
+const ANALYSIS_SETTINGS_KEY = 'scadweb.analysis';
+const PROBLEM_COLOR = 0xf97316;
+
+let analysisWorker = null;
+let analysisPending = null;     // { positions, options, startedAt } of the request in flight
+let analysisLayers = {};        // 'overhang' | 'thin' | 'problems' → Object3D (children of currentMesh)
+
+function analysisOptions() {
+    const angle = parseFloat(overhangAngleInput.value);
+    const wall = parseFloat(minWallInput.value);
+    return {
+        overhangAngle: Number.isFinite(angle) ? THREE.MathUtils.clamp(angle, 0, 89) : DEFAULT_OVERHANG_ANGLE,
+        minWall: Number.isFinite(wall) && wall >= 0 ? wall : DEFAULT_MIN_WALL,
+    };
+}
+
+/**
+ * A run still going is abandoned by replacing the worker, like a
+ * cancelled compile.
+ */
+function stopAnalysis() {
+    if (!analysisPending) return;
+    analysisWorker.terminate();
+    analysisWorker = null;
+    analysisPending = null;
+}
+
+/**
+ * Analyse the current model.
+ */
+function runAnalysis() {
+    stopAnalysis();
+    disposeAnalysis();
+    analysisReport.innerHTML = '';
+    if (!currentMesh?.isMesh) {
+        analysisStatus.textContent = 'disponível só para modelos 3D';
+        return;
+    }
+
+    if (!analysisWorker) {
+        analysisWorker = new Worker('analysis-worker.js', { type: 'module' });
+        analysisWorker.addEventListener('message', e => onAnalysisMessage(e.data));
+        analysisWorker.addEventListener('error', (err) => {
+            err.preventDefault();
+            analysisPending = null;
+            analysisStatus.textContent = `erro: ${err.message}`;
+        });
+    }
+
+    const positions = modelTriangles();
+    analysisPending = { positions, options: analysisOptions(), startedAt: performance.now() };
+    analysisStatus.textContent = 'analisando…';
+    analysisWorker.postMessage({ positions, options: analysisPending.options });
+}
+
+/**
+ * Triangle corners of the current model in model coordinates, 9 floats
+ * per triangle, as a new array (the worker gets its own copy).
+ */
+function modelTriangles() {
+    const geometry = currentMesh.geometry.index ? currentMesh.geometry.toNonIndexed() : currentMesh.geometry;
+    const positions = Float32Array.from(geometry.getAttribute('position').array);
+    if (geometry !== currentMesh.geometry) geometry.dispose();
+    return positions;
+}
+
+function onAnalysisMessage(msg) {
+    const pending = analysisPending;
+    if (!pending) return;
+    analysisPending = null;
+    if (msg.type === 'error') {
+        analysisStatus.textContent = `erro: ${msg.message}`;
+        return;
+    }
+    const seconds = (performance.now() - pending.startedAt) / 1000;
+    analysisStatus.textContent = `${seconds.toFixed(1)} s`;
+    showAnalysisReport(msg.report, pending.options);
+    buildAnalysisLayers(msg.report, pending.positions, pending.options);
+}
+
+function showAnalysisReport(report, options) {
+    const closed = report.openEdges === 0 && report.nonManifoldEdges === 0;
+    const rows = [
+        ['Triângulos', `${report.triangles.toLocaleString('pt-BR')} (${report.vertices.toLocaleString('pt-BR')} vértices)`],
+        ['Malha', closed ? 'fechada (manifold)' : 'com furos ou arestas compartilhadas', !closed],
+        ['Arestas abertas', report.openEdges, report.openEdges > 0],
+        ['Arestas não-manifold', report.nonManifoldEdges, report.nonManifoldEdges > 0],
+        ['Normais invertidas', `${report.flippedFaces} face(s)`, report.flippedFaces > 0],
+        ['Cascas separadas', report.shells],
+        [`Balanços > ${options.overhangAngle}°`,
+            report.overhangFaces ? `${report.overhangFaces} face(s), ${formatMeasure(report.overhangArea)} de área` : 'nenhum',
+            report.overhangFaces > 0],
+        [`Paredes < ${formatMeasure(options.minWall)}`,
+            report.thinFaces ? `${report.thinFaces} face(s), mínima ${formatMeasure(report.minThickness)}` : 'nenhuma',
+            report.thinFaces > 0],
+    ];
+    if (report.degenerateFaces) rows.push(['Triângulos degenerados', report.degenerateFaces, true]);
+
+    analysisReport.innerHTML = '';
+    for (const [term, value, warn] of rows) {
+        const dt = document.createElement('dt');
+        dt.textContent = term;
+        const dd = document.createElement('dd');
+        dd.textContent = value;
+        if (warn) dd.classList.add('warn');
+        analysisReport.append(dt, dd);
+    }
+}
+
+/**
+ * Vertex-colored copy of the faces `color(t)` returns a color for.
+ */
+function faceLayer(positions, triangles, color) {
+    const pos = [];
+    const colors = [];
+    for (let t = 0; t < triangles; t++) {
+        const c = color(t);
+        if (!c) continue;
+        for (let k = 0; k < 9; k++) pos.push(positions[t * 9 + k]);
+        for (let k = 0; k < 3; k++) colors.push(c.r, c.g, c.b);
+    }
+    if (pos.length === 0) return null;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        side: THREE.DoubleSide,
+        polygonOffset: true,        // drawn on the model's own faces
+        polygonOffsetFactor: -1,
+        polygonOffsetUnits: -4,
+    }));
+}
+
+function buildAnalysisLayers(report, positions, options) {
+    const { flags, thickness, triangles } = report;
+    const sinLimit = Math.sin(THREE.MathUtils.degToRad(options.overhangAngle));
+    const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+    const normalZ = (t) => {
+        a.fromArray(positions, t * 9);
+        b.fromArray(positions, t * 9 + 3);
+        c.fromArray(positions, t * 9 + 6);
+        const z = b.sub(a).cross(c.sub(a)).normalize().z;
+        return flags[t] & FACE_FLIPPED ? -z : z;
+    };
+
+    const overhangFrom = new THREE.Color(0xc026d3), overhangTo = new THREE.Color(0x2563eb);
+    const thinFrom = new THREE.Color(0xef4444), thinTo = new THREE.Color(0xfacc15);
+    const problem = new THREE.Color(PROBLEM_COLOR);
+
+    const layers = {
+        overhang: faceLayer(positions, triangles, (t) => {
+            if (!(flags[t] & FACE_OVERHANG)) return null;
+            const severity = (-normalZ(t) - sinLimit) / (1 - sinLimit || 1);
+            return overhangFrom.clone().lerp(overhangTo, THREE.MathUtils.clamp(severity, 0, 1));
+        }),
+        thin: faceLayer(positions, triangles, (t) => {
+            if (!(flags[t] & FACE_THIN)) return null;
+            return thinFrom.clone().lerp(thinTo, thickness[t] / options.minWall);
+        }),
+        problems: faceLayer(positions, triangles, t => (flags[t] & FACE_FLIPPED ? problem : null)),
+    };
+
+    if (report.problemEdges.length) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(report.problemEdges, 3));
+        const edges = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: PROBLEM_COLOR, depthTest: false }));
+        if (!layers.problems) layers.problems = new THREE.Group();
+        layers.problems.add(edges);
+    }
+
+    analysisLayers = {};
+    for (const [name, layer] of Object.entries(layers)) {
+        if (!layer) continue;
+        currentMesh.add(layer);
+        analysisLayers[name] = layer;
+    }
+    applySectionClipping();
+    updateAnalysisVisibility();
+}
+
+function updateAnalysisVisibility() {
+    analysisLayerToggles.forEach((toggle) => {
+        const layer = analysisLayers[toggle.dataset.layer];
+        if (layer) layer.visible = toggle.checked;
+    });
+}
+
+function disposeAnalysis() {
+    for (const layer of Object.values(analysisLayers)) {
+        layer.parent?.remove(layer);
+        layer.traverse((obj) => {
+            obj.geometry?.dispose();
+            obj.material?.dispose();
+        });
+    }
+    analysisLayers = {};
+}
+
+try {
+    const saved = JSON.parse(localStorage.getItem(ANALYSIS_SETTINGS_KEY)) || {};
+    if (saved.overhangAngle != null) overhangAngleInput.value = saved.overhangAngle;
+    if (saved.minWall != null) minWallInput.value = saved.minWall;
+} catch { }
+
+for (const input of [overhangAngleInput, minWallInput]) {
+    input.addEventListener('change', () => {
+        localStorage.setItem(ANALYSIS_SETTINGS_KEY, JSON.stringify(analysisOptions()));
+        if (!analysisPanel.hidden) runAnalysis();
+    });
+}
+
+analysisLayerToggles.forEach(toggle => toggle.addEventListener('change', updateAnalysisVisibility));
+
+btnAnalysis.addEventListener('click', () => {
+    const open = analysisPanel.hidden;
+    analysisPanel.hidden = !open;
+    btnAnalysis.classList.toggle('active', open);
+    if (open) {
+        runAnalysis();
+    } else {
+        stopAnalysis();
+        disposeAnalysis();
+    }
+});
+
+/* ═══════════════ MODEL DIFF ═══════════════
+ *
+ * A model pinned as reference stays in the viewer while the design
+ * changes: it is drawn as a ghost in the same model coordinates, the
+ * faces of both models are classified by diff.js (in
+ * analysis-worker.js) and painted green where material was added and
+ * red where it was removed, and the panel lists the box, volume and
+ * area deltas.
+ */
+
+const GHOST_COLOR = 0x9ca3af;
+const ADDED_COLOR = 0x22c55e;
+const REMOVED_COLOR = 0xef4444;
+
+let diffReference = null;       // { positions (model coordinates), stats, label }
+let diffWorker = null;
+let diffPending = null;         // { positions, startedAt } of the request in flight
+let diffLayers = {};            // 'ghost' | 'added' | 'removed' → Object3D (children of currentMesh)
+
+/**
+ * Keep the current model as the reference for the next compiles.
+ */
+function pinReference() {
+    if (currentMesh?.isMesh) {
+        diffReference = {
+            positions: modelTriangles(),
+            stats: computeMeshStats(currentMesh.geometry),
+            label: `${fileNameEl.textContent} · ${new Date().toLocaleTimeString('pt-BR')}`,
+        };
+        appendLog(`Referência para comparação: ${diffReference.label}`, 'info');
+    }
+    showDiff();
+}
+
+function stopDiff() {
+    if (!diffPending) return;
+    diffWorker.terminate();
+    diffWorker = null;
+    diffPending = null;
+}
+
+/**
+ * Compare the current model with the reference: deltas right away, the
+ * colored regions when the worker is done.
+ */
+function showDiff() {
+    stopDiff();
+    disposeDiff();
+    diffTable.innerHTML = '';
+    diffSummary.textContent = '';
+    btnDiffPin.disabled = !currentMesh?.isMesh;
+    diffReferenceEl.textContent = diffReference ? `Referência: ${diffReference.label}` : 'Nenhuma referência fixada';
+    if (!diffReference) {
+        diffStatus.textContent = '';
+        return;
+    }
+    if (!currentMesh?.isMesh) {
+        diffStatus.textContent = 'disponível só para modelos 3D';
+        return;
+    }
+
+    showDiffTable(diffReference.stats, computeMeshStats(currentMesh.geometry));
+
+    const ghost = new THREE.Mesh(
+        new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(diffReference.positions, 3)),
+        new THREE.MeshStandardMaterial({ color: GHOST_COLOR, transparent: true, opacity: 0.2, depthWrite: false }),
+    );
+    ghost.geometry.computeVertexNormals();
+    currentMesh.add(ghost);
+    diffLayers = { ghost };
+    applySectionClipping();
+    updateDiffVisibility();
+
+    if (!diffWorker) {
+        diffWorker = new Worker('analysis-worker.js', { type: 'module' });
+        diffWorker.addEventListener('message', e => onDiffMessage(e.data));
+        diffWorker.addEventListener('error', (err) => {
+            err.preventDefault();
+            diffPending = null;
+            diffStatus.textContent = `erro: ${err.message}`;
+        });
+    }
+    const positions = modelTriangles();
+    diffPending = { positions, startedAt: performance.now() };
+    diffStatus.textContent = 'comparando…';
+    diffWorker.postMessage({ type: 'diff', current: positions, reference: diffReference.positions });
+}
+
+function onDiffMessage(msg) {
+    const pending = diffPending;
+    if (!pending) return;
+    diffPending = null;
+    if (msg.type === 'error') {
+        diffStatus.textContent = `erro: ${msg.message}`;
+        return;
+    }
+    const seconds = (performance.now() - pending.startedAt) / 1000;
+    diffStatus.textContent = `${seconds.toFixed(1)} s`;
+    const { diff } = msg;
+    diffSummary.textContent = diff.addedArea || diff.removedArea
+        ? `Superfície nova ${formatMeasure(diff.addedArea)} · removida ${formatMeasure(diff.removedArea)}`
+        : 'Nenhuma diferença de geometria';
+    buildDiffLayers(diff, pending.positions);
+}
+
+function formatDelta(value) {
+    const text = formatMeasure(value);
+    return value > 0 ? `+${text}` : text;
+}
+
+/**
+ * Reference, current and delta of the box size, volume and area.
+ */
+function showDiffTable(before, after) {
+    const rows = [
+        ...['X', 'Y', 'Z'].map((axis, i) => [axis, before.size[i], after.size[i]]),
+        ['Volume', before.volume, after.volume],
+        ['Área', before.area, after.area],
+    ];
+    const head = document.createElement('tr');
+    for (const text of ['', 'Referência', 'Atual', 'Δ']) {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    }
+    diffTable.appendChild(head);
+
+    for (const [label, was, now] of rows) {
+        const tr = document.createElement('tr');
+        const delta = now - was;
+        // Rounding noise of the two meshes is not a change
+        const changed = Math.abs(delta) >= 0.005;
+        let deltaText = changed ? formatDelta(delta) : '—';
+        if (changed && label === 'Volume' && was > 0) deltaText += ` (${formatDelta((delta / was) * 100)} %)`;
+        for (const text of [label, formatMeasure(was), formatMeasure(now), deltaText]) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        if (changed) tr.lastChild.classList.add(delta > 0 ? 'added' : 'removed');
+        diffTable.appendChild(tr);
+    }
+}
+
+function buildDiffLayers(diff, positions) {
+    const added = new THREE.Color(ADDED_COLOR);
+    const removed = new THREE.Color(REMOVED_COLOR);
+
+    diffLayers.added = faceLayer(positions, diff.current.length, t => (diff.current[t] & DIFF_ADDED ? added : null));
+    // Faces now bounding a cut, and the old faces of the material cut away
+    const cut = faceLayer(positions, diff.current.length, t => (diff.current[t] & DIFF_REMOVED ? removed : null));
+    const gone = faceLayer(diffReference.positions, diff.reference.length,
+        t => (diff.reference[t] & DIFF_REMOVED ? removed : null));
+    if (gone) {
+        gone.material.transparent = true;
+        gone.material.opacity = 0.5;
+        gone.material.depthWrite = false;
+    }
+    if (cut || gone) {
+        diffLayers.removed = new THREE.Group();
+        for (const layer of [cut, gone]) if (layer) diffLayers.removed.add(layer);
+    }
+
+    for (const name of ['added', 'removed']) {
+        if (diffLayers[name]) currentMesh.add(diffLayers[name]);
+        else delete diffLayers[name];
+    }
+    applySectionClipping();
+    updateDiffVisibility();
+}
+
+function updateDiffVisibility() {
+    diffLayerToggles.forEach((toggle) => {
+        const layer = diffLayers[toggle.dataset.diffLayer];
+        if (layer) layer.visible = toggle.checked;
+    });
+}
+
+function disposeDiff() {
+    for (const layer of Object.values(diffLayers)) {
+        layer.parent?.remove(layer);
+        layer.traverse((obj) => {
+            obj.geometry?.dispose();
+            obj.material?.dispose();
+        });
+    }
+    diffLayers = {};
+}
+
+diffLayerToggles.forEach(toggle => toggle.addEventListener('change', updateDiffVisibility));
+
+btnDiffPin.addEventListener('click', pinReference);
+
+btnDiff.addEventListener('click', () => {
+    const open = diffPanel.hidden;
+    diffPanel.hidden = !open;
+    btnDiff.classList.toggle('active', open);
+    if (!open) {
+        stopDiff();
+        disposeDiff();
+    } else if (!diffReference) {
+        // The model on screen is what the next compiles are compared with
+        pinReference();
+    } else {
+        showDiff();
+    }
+});
+
+/* ─── Download compiled model ─── */
+const FORMAT_MIME = {
+    stl: 'model/stl',
+    off: 'text/plain',
+    amf: 'application/x-amf',
+    dxf: 'image/vnd.dxf',
+    svg: 'image/svg+xml',
+};
+
+/**
+ * Preview output is coarse: make sure it is downloaded on purpose.
+ */
+function confirmPreviewDownload(output) {
+    return output.quality !== 'preview' || confirm(
+        'Este modelo foi gerado em qualidade de PRÉVIA (resolução reduzida).\n' +
+        'Para exportar, selecione "Final" e compile novamente.\n\nBaixar a prévia mesmo assim?'
+    );
+}
+
+function downloadOutput(output) {
+    if (!confirmPreviewDownload(output)) return;
+    const blob = new Blob([output.data], { type: FORMAT_MIME[output.format] || 'application/octet-stream' });
+    saveBlob(blob, modelBaseName() + '.' + output.format);
+}
+
+/** Current main file name without the .scad extension. */
+function modelBaseName() {
+    return (fileNameEl.textContent || 'model').replace(/\.scad$/i, '');
+}
+
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+btnDownload.addEventListener('click', () => {
+    if (currentOutput) downloadOutput(currentOutput);
+});
+
+/**
+ * Make `output` the current model: viewer, download button and label.
+ * Returns false when the viewer could not display it.
+ */
+function showOutput(output) {
+    currentOutput = output;
+    btnDownload.disabled = false;
+    downloadLabel.textContent = `Baixar ${output.format.toUpperCase()}` + (output.quality === 'preview' ? ' (prévia)' : '');
+    try {
+        loadModelIntoViewer(output.data, output.format, output.parts, output.overlays);
+        return true;
+    } catch (err) {
+        appendLog(`Não foi possível exibir o ${output.format.toUpperCase()}: ${err.message}`, 'warning');
+        return false;
+    }
+}
+
+/**
+ * Small JPEG of the current viewer frame for the history list.
+ */
+function captureThumbnail(width = 160, height = 120) {
+    // Render now so the drawing buffer is still valid when read back
+    renderer.render(scene, camera);
+    const thumb = document.createElement('canvas');
+    thumb.width = width;
+    thumb.height = height;
+    const src = renderer.domElement;
+    const scale = Math.max(width / src.width, height / src.height);
+    const w = src.width * scale, h = src.height * scale;
+    thumb.getContext('2d').drawImage(src, (width - w) / 2, (height - h) / 2, w, h);
+    return thumb.toDataURL('image/jpeg', 0.8);
+}
+
+/* ═══════════════ HISTORY ═══════════════
+ *
+ * Successful compiles are stored (history.js) with their parameter
+ * values, duration, size, a viewer thumbnail and the output itself —
+ * explicit ones, and live ones at final quality; live previews are
+ * throwaway. Entries can restore their parameters, be shown/downloaded
+ * again, or be compared in pairs.
+ *
+ * ═══════════════════════════════════════════════ */
+
+let historyEntries = [];
+const historySelection = new Set(); // ids ticked for comparison
+
+async function recordHistory(output, duration) {
+    if (!compileSnapshot || !compileSnapshot.file) return;
+    if (compileSnapshot.live && output.quality === 'preview') return;
+    try {
+        await addHistoryEntry({
+            projectId: compileSnapshot.projectId,
+            file: compileSnapshot.file,
+            timestamp: Date.now(),
+            params: compileSnapshot.params,
+            duration,
+            size: output.data.byteLength,
+            format: output.format,
+            dimension: output.dimension,
+            quality: output.quality,
+            thumbnail: captureThumbnail(),
+            data: output.data,
+            parts: output.parts,
+            overlays: output.overlays,
+        });
+        if (document.getElementById('tab-history').classList.contains('active')) renderHistory();
+    } catch (err) {
+        appendLog(`Não foi possível salvar no histórico: ${err.message}`, 'warning');
+    }
+}
+
+function formatParamValues(params) {
+    return params.map(p => `${p.name}=${typeof p.value === 'string' ? `"${p.value}"` : p.value}`).join(', ');
+}
+
+async function renderHistory() {
+    try {
+        historyEntries = currentMainPath ? await listHistory(currentProjectId, currentMainPath) : [];
+    } catch (err) {
+        historyEntries = [];
+        appendLog(`Histórico indisponível: ${err.message}`, 'warning');
+    }
+    for (const id of [...historySelection]) {
+        if (!historyEntries.some(e => e.id === id)) historySelection.delete(id);
+    }
+
+    historyList.innerHTML = '';
+    historyEmpty.hidden = historyEntries.length > 0;
+
+    for (const entry of historyEntries) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        const img = document.createElement('img');
+        img.src = entry.thumbnail;
+        img.alt = '';
+        img.className = 'history-thumb';
+        item.appendChild(img);
+
+        const info = document.createElement('div');
+        info.className = 'history-info';
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = new Date(entry.timestamp).toLocaleString('pt-BR');
+        const stats = document.createElement('div');
+        stats.className = 'history-stats';
+        stats.textContent = `${entry.format.toUpperCase()}${entry.quality === 'preview' ? ' (prévia)' : ''} · ` +
+            `${formatSize(entry.size)} · ${entry.duration.toFixed(1)} s`;
+        const params = document.createElement('div');
+        params.className = 'history-params';
+        params.textContent = entry.params.length ? formatParamValues(entry.params) : 'sem parâmetros';
+        params.title = params.textContent;
+        info.append(meta, stats, params);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        const addAction = (label, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn-icon';
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', onClick);
+            actions.appendChild(btn);
+        };
+        addAction('Ver', 'Mostrar este resultado no visualizador', () => withHistoryOutput(entry, showOutput));
+        addAction('Restaurar', 'Aplicar estes valores de parâmetros', () => restoreHistoryParams(entry));
+        addAction('Baixar', 'Baixar este resultado', () => withHistoryOutput(entry, downloadOutput));
+        addAction('✕', 'Remover do histórico', async () => {
+            await deleteHistoryEntry(entry.id);
+            renderHistory();
+        });
+
+        const compare = document.createElement('label');
+        compare.className = 'history-compare-toggle';
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.checked = historySelection.has(entry.id);
+        check.addEventListener('change', () => {
+            if (check.checked) {
+                // Keep at most two: the oldest pick makes room
+                if (historySelection.size >= 2) historySelection.delete(historySelection.values().next().value);
+                historySelection.add(entry.id);
+            } else {
+                historySelection.delete(entry.id);
+            }
+            renderHistory();
+        });
+        compare.append(check, ' comparar');
+        actions.appendChild(compare);
+
+        info.appendChild(actions);
+        item.appendChild(info);
+        historyList.appendChild(item);
+    }
+
+    renderHistoryCompare();
+}
+
+/**
+ * Side-by-side view of the two ticked entries: thumbnails, stats and
+ * the parameters whose values differ.
+ */
+function renderHistoryCompare() {
+    const picked = historyEntries.filter(e => historySelection.has(e.id));
+    historyCompare.innerHTML = '';
+    historyCompare.hidden = picked.length !== 2;
+    if (picked.length !== 2) return;
+
+    // Older entry on the left
+    const [a, b] = picked.sort((x, y) => x.timestamp - y.timestamp);
+
+    const table = document.createElement('table');
+    table.className = 'history-compare-table';
+    const row = (label, va, vb) => {
+        const tr = document.createElement('tr');
+        if (String(va) !== String(vb)) tr.className = 'changed';
+        for (const text of [label, va, vb]) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        table.appendChild(tr);
+    };
+
+    const head = document.createElement('tr');
+    for (const e of [null, a, b]) {
+        const th = document.createElement('th');
+        if (e) {
+            const img = document.createElement('img');
+            img.src = e.thumbnail;
+            img.alt = '';
+            th.append(img, new Date(e.timestamp).toLocaleTimeString('pt-BR'));
+        }
+        head.appendChild(th);
+    }
+    table.appendChild(head);
+
+    row('Formato', a.format.toUpperCase(), b.format.toUpperCase());
+    row('Tamanho', formatSize(a.size), formatSize(b.size));
+    row('Duração', `${a.duration.toFixed(1)} s`, `${b.duration.toFixed(1)} s`);
+
+    const names = [...new Set([...a.params, ...b.params].map(p => p.name))];
+    const valueOf = (e, name) => {
+        const p = e.params.find(q => q.name === name);
+        return p ? String(p.value) : '—';
+    };
+    const changed = names.filter(n => valueOf(a, n) !== valueOf(b, n));
+    for (const name of changed) row(name, valueOf(a, name), valueOf(b, name));
+    if (changed.length === 0) row('Parâmetros', 'iguais', 'iguais');
+
+    historyCompare.appendChild(table);
+}
+
+/**
+ * Read an entry's stored output (only now: listing skips the meshes)
+ * and hand the full entry to `use`.
+ */
+async function withHistoryOutput(entry, use) {
+    try {
+        const output = await loadHistoryOutput(entry.id);
+        if (!output) throw new Error('resultado não encontrado');
+        use({ ...entry, ...output });
+    } catch (err) {
+        appendLog(`Não foi possível abrir a entrada do histórico: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * Apply an entry's parameter values to the panel and the source.
+ */
+function restoreHistoryParams(entry) {
+    let applied = 0;
+    const missing = [];
+    for (const saved of entry.params) {
+        const p = currentParams.find(q => q.name === saved.name);
+        if (p) { p.value = saved.value; applied++; } else missing.push(saved.name);
+    }
+    renderParams(currentParams);
+    syncParamsToSource();
+    switchTab('params');
+    appendLog(`${applied} parâmetro(s) restaurado(s) do histórico.`, 'success');
+    if (missing.length) appendLog(`Parâmetros que não existem mais no código: ${missing.join(', ')}`, 'warning');
+}
+
+/* ═══════════════ PRESETS ═══════════════
+ *
+ * Named parameter sets per main file, saved in localStorage and
+ * exchanged as the OpenSCAD Customizer's <model>.json. A sibling
+ * <model>.json uploaded with the .scad is merged in automatically.
+ */
+
+let currentPresets = {};        // name → { param: "value" } for currentMainPath
+let defaultParamSet = {};       // values as written in the file when it was loaded
+
+function initPresets(path) {
+    currentPresets = loadPresets(path);
+    defaultParamSet = captureParameterSet(currentParams);
+
+    const siblingPath = path.replace(/\.scad$/i, '.json');
+    const sibling = currentProjectFiles.get(siblingPath);
+    if (sibling) {
+        try {
+            const sets = parseParameterSetFile(new TextDecoder().decode(sibling));
+            Object.assign(currentPresets, sets);
+            savePresets(path, currentPresets);
+            appendLog(`${Object.keys(sets).length} conjunto(s) de parâmetros carregado(s) de ${siblingPath}`, 'success');
+        } catch (err) {
+            appendLog(`Não foi possível ler ${siblingPath}: ${err.message}`, 'warning');
+        }
+    }
+
+    presetsBar.hidden = false;
+    renderPresets('');
+}
+
+function renderPresets(selected) {
+    presetSelect.innerHTML = '';
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        presetSelect.appendChild(option);
+    };
+    addOption('', 'Padrões do modelo');
+    for (const name of Object.keys(currentPresets).sort((a, b) => a.localeCompare(b))) {
+        addOption(name, name);
+    }
+    presetSelect.value = selected in currentPresets ? selected : '';
+    btnPresetDelete.disabled = !presetSelect.value;
+}
+
+function applyPreset(name) {
+    const set = name ? currentPresets[name] : defaultParamSet;
+    if (!set) return;
+    const { applied, skipped } = applyParameterSet(currentParams, set);
+    renderParams(currentParams);
+    syncParamsToSource();
+    appendLog(`Conjunto "${name || 'Padrões do modelo'}" aplicado (${applied.length} parâmetro(s)).`, 'success');
+    if (skipped.length) appendLog(`Parâmetros ignorados (inexistentes ou de tipo diferente): ${skipped.join(', ')}`, 'warning');
+}
+
+presetSelect.addEventListener('change', () => {
+    btnPresetDelete.disabled = !presetSelect.value;
+    applyPreset(presetSelect.value);
+});
+
+btnPresetSave.addEventListener('click', () => {
+    if (!currentMainPath) return;
+    const name = prompt('Nome do conjunto de parâmetros:', presetSelect.value)?.trim();
+    if (!name) return;
+    if (name in currentPresets && name !== presetSelect.value &&
+        !confirm(`Substituir o conjunto "${name}"?`)) return;
+    currentPresets[name] = captureParameterSet(currentParams);
+    savePresets(currentMainPath, currentPresets);
+    renderPresets(name);
+    appendLog(`Conjunto "${name}" salvo.`, 'success');
+});
+
+btnPresetDelete.addEventListener('click', () => {
+    const name = presetSelect.value;
+    if (!name || !confirm(`Excluir o conjunto "${name}"?`)) return;
+    delete currentPresets[name];
+    savePresets(currentMainPath, currentPresets);
+    renderPresets('');
+});
+
+btnPresetExport.addEventListener('click', () => {
+    if (!Object.keys(currentPresets).length) {
+        appendLog('Nenhum conjunto salvo para exportar.', 'warning');
+        return;
+    }
+    const blob = new Blob([serializeParameterSetFile(currentPresets)], { type: 'application/json' });
+    saveBlob(blob, modelBaseName() + '.json');
+});
+
+btnPresetImport.addEventListener('click', () => presetFileInput.click());
+
+presetFileInput.addEventListener('change', async () => {
+    const file = presetFileInput.files[0];
+    presetFileInput.value = '';
+    if (!file || !currentMainPath) return;
+    try {
+        const sets = parseParameterSetFile(await file.text());
+        Object.assign(currentPresets, sets);
+        savePresets(currentMainPath, currentPresets);
+        renderPresets(presetSelect.value);
+        appendLog(`${Object.keys(sets).length} conjunto(s) importado(s) de ${file.name}`, 'success');
+    } catch (err) {
+        appendLog(`Erro ao importar ${file.name}: ${err.message}`, 'error');
+    }
+});
+
+/* ═══════════════ BATCH ═══════════════
+ *
+ * Every combination of a few parameters (value lists or ranges) is
+ * queued as a background pool job, reusing the -D overrides of a
+ * normal compile; the outputs are zipped with names built from the
+ * values. Interactive compiles keep running ahead of the batch.
+ */
+
+let batchAxes = [];             // [{ name, text }] rows of the batch panel
+let batchJob = null;            // { base, stems, labels, jobIds, entries: { file: bytes }, failures, done, total, startedAt } while running
+
+function resetBatch() {
+    batchAxes = [];
+    renderBatchAxes();
+}
+
+function renderBatchAxes() {
+    batchAxesEl.innerHTML = '';
+    const visible = currentParams.filter(p => !p.hidden);
+
+    batchAxes.forEach((axis, idx) => {
+        const row = document.createElement('div');
+        row.className = 'batch-axis';
+
+        const select = document.createElement('select');
+        for (const p of visible) {
+            const option = document.createElement('option');
+            option.value = p.name;
+            option.textContent = p.name;
+            select.appendChild(option);
+        }
+        select.value = axis.name;
+        select.addEventListener('change', () => {
+            axis.name = select.value;
+            updateBatchCount();
+        });
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = axis.text;
+        input.placeholder = '10, 20, 30  ou  10:5:40';
+        input.addEventListener('input', () => {
+            axis.text = input.value;
+            updateBatchCount();
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-icon';
+        remove.textContent = '✕';
+        remove.title = 'Remover do lote';
+        remove.addEventListener('click', () => {
+            batchAxes.splice(idx, 1);
+            renderBatchAxes();
+        });
+
+        row.append(select, input, remove);
+        batchAxesEl.appendChild(row);
+    });
+
+    btnBatchAdd.disabled = batchAxes.length >= visible.length;
+    updateBatchCount();
+}
+
+/**
+ * Parse the rows into axes; throws with the first invalid row.
+ */
+function readBatchAxes() {
+    return batchAxes.map((axis) => {
+        const p = currentParams.find(q => q.name === axis.name && !q.hidden);
+        if (!p) throw new Error(`${axis.name}: parâmetro não existe mais no código`);
+        const values = parseVariantValues(p, axis.text);
+        for (const value of values) {
+            const message = validateParam({ ...p, value });
+            if (message) throw new Error(`${p.name} = ${formatLiteral({ ...p, value })}: ${message}`);
+        }
+        return { name: p.name, values };
+    });
+}
+
+function updateBatchCount() {
+    if (batchJob) return;
+    let count = 0;
+    try {
+        count = batchAxes.length ? countVariants(readBatchAxes()) : 0;
+    } catch {
+        batchStatus.textContent = 'valores inválidos';
+        btnBatchRun.disabled = true;
+        return;
+    }
+    batchStatus.textContent = count ? `${count} variante(s)` : '';
+    btnBatchRun.disabled = count === 0 || count > MAX_BATCH_VARIANTS;
+    if (count > MAX_BATCH_VARIANTS) batchStatus.textContent += ` — máximo ${MAX_BATCH_VARIANTS}`;
+}
+
+btnBatchAdd.addEventListener('click', () => {
+    const used = new Set(batchAxes.map(a => a.name));
+    const p = currentParams.find(q => !q.hidden && !used.has(q.name));
+    if (!p) return;
+    batchAxes.push({ name: p.name, text: formatLiteral(p) });
+    renderBatchAxes();
+});
+
+btnBatchRun.addEventListener('click', () => {
+    if (batchJob) {
+        cancelBatch();
+        return;
+    }
+    if (!currentScadSource) return;
+
+    let axes;
+    try {
+        axes = readBatchAxes();
+    } catch (err) {
+        appendLog(`Lote: ${err.message}`, 'error');
+        return;
+    }
+    const combos = expandMatrix(axes);
+    if (!combos.length || combos.length > MAX_BATCH_VARIANTS) return;
+
+    const editable = currentParams.filter(p => !p.hidden);
+    const labels = combos.map(combo => Object.entries(combo)
+        .map(([name, value]) => `${name}=${formatLiteral({ type: editable.find(p => p.name === name).type, value })}`)
+        .join(', '));
+
+    const base = modelBaseName();
+    const job = {
+        base, stems: variantStems(base, combos), labels, jobIds: [], entries: {}, failures: [],
+        done: 0, total: combos.length, startedAt: performance.now(),
+    };
+    batchJob = job;
+    btnBatchRun.textContent = 'Cancelar lote';
+    switchTab('console');
+    appendLog('─'.repeat(40));
+    appendLog(`Lote: ${combos.length} variante(s) de ${axes.map(a => a.name).join(' × ')} em até ${pool.size} worker(s)`, 'info');
+    batchStatus.textContent = `0/${combos.length}`;
+
+    const request = {
+        type: 'compile',
+        scadSource: currentScadSource,
+        mainPath: currentMainPath,
+        files: collectProjectFiles(),
+        libraries,
+        format: exportFormatSelect.value,
+        quality: getQuality(),
+    };
+    combos.forEach((combo, index) => {
+        const params = editable.map(p => ({ name: p.name, value: p.name in combo ? combo[p.name] : p.value, type: p.type }));
+        job.jobIds.push(pool.run({ ...request, params }, {
+            priority: PRIORITY.background,
+            timeout: getCompileTimeout() * 1000,
+            onMessage: msg => onBatchMessage(job, index, msg),
+        }));
+    });
+});
+
+/**
+ * Messages of one variant; only the final result matters here.
+ */
+function onBatchMessage(job, index, msg) {
+    if (job !== batchJob || !['result', 'error', 'timeout'].includes(msg.type)) return;
+    job.done++;
+
+    if (msg.type === 'result') {
+        const name = `${job.stems[index]}.${msg.format}`;
+        job.entries[name] = new Uint8Array(msg.data);
+        appendLog(`Variante ${index + 1}/${job.total} pronta: ${job.labels[index]}`, 'info');
+    } else {
+        job.failures.push(index);
+        const reason = msg.type === 'timeout' ? `tempo limite de ${getCompileTimeout()} s excedido` : msg.message;
+        appendLog(`Variante ${index + 1} (${job.labels[index]}) falhou:\n${reason}`, 'error');
+    }
+
+    const failed = job.failures.length;
+    batchStatus.textContent = `${job.done}/${job.total}` + (failed ? ` · ${failed} falha(s)` : '');
+    if (job.done === job.total) finishBatch();
+}
+
+function cancelBatch() {
+    for (const id of batchJob.jobIds) pool.cancel(id);
+    appendLog(`Lote interrompido: ${batchJob.done} de ${batchJob.total} variante(s) concluída(s), nada foi baixado.`, 'warning');
+    batchJob = null;
+    btnBatchRun.textContent = 'Gerar lote';
+    updateBatchCount();
+}
+
+async function finishBatch() {
+    const job = batchJob;
+    batchJob = null;
+    btnBatchRun.textContent = 'Gerar lote';
+
+    const duration = (performance.now() - job.startedAt) / 1000;
+    const ok = Object.keys(job.entries).length;
+    if (ok === 0) {
+        appendLog('Lote concluído sem nenhuma variante compilada.', 'error');
+        updateBatchCount();
+        return;
+    }
+
+    const { zipSync } = await import('fflate');
+    const zip = zipSync(job.entries, { level: 6 });
+    saveBlob(new Blob([zip], { type: 'application/zip' }), `${job.base}_lote.zip`);
+    appendLog(
+        `Lote pronto em ${duration.toFixed(1)} s: ${ok} de ${job.total} variante(s) no .zip (${formatSize(zip.byteLength)}).`,
+        job.failures.length ? 'warning' : 'success',
+    );
+    if (job.failures.length) {
+        appendLog(`Variantes com falha: ${job.failures.map(i => i + 1).join(', ')}`, 'warning');
+    }
+    updateBatchCount();
+}
+
+/* ═══════════════ SHARING ═══════════════
+ *
+ * "Compartilhar" copies a permalink with the sources, parameter values
+ * and camera compressed into the hash. Projects too big for a URL (or
+ * with non-.scad files) are exported as a bundle .zip instead, which
+ * restores the same state when dropped back in.
+ */
+
+function captureShareState() {
+    return {
+        main: currentMainPath,
+        params: captureParameterSet(currentParams),
+        camera: {
+            position: camera.position.toArray(),
+            target: controls.target.toArray(),
+        },
+        format: exportFormatSelect.value,
+        quality: getQuality(),
+    };
+}
+
+btnShare.addEventListener('click', async () => {
+    if (!currentMainPath) return;
+    const state = captureShareState();
+    const url = await buildPermalink(location.href, currentProjectFiles, state);
+    if (!url) {
+        const zip = await buildBundle(currentProjectFiles, state);
+        saveBlob(new Blob([zip], { type: 'application/zip' }), modelBaseName() + '.scadweb.zip');
+        appendLog('Projeto grande demais para um link: pacote .scadweb.zip exportado. Arraste-o no app para abrir com os mesmos parâmetros.', 'warning');
+        return;
+    }
+
+    history.replaceState(null, '', url);
+    try {
+        await navigator.clipboard.writeText(url);
+        appendLog(`Link copiado para a área de transferência (${url.length} caracteres).`, 'success');
+    } catch {
+        prompt('Copie o link:', url);
+    }
+});
+
+/**
+ * Apply a permalink/bundle state to the freshly loaded project and compile.
+ */
+function restoreSharedState(state) {
+    if (state.params) {
+        const { skipped } = applyParameterSet(currentParams, state.params);
+        renderParams(currentParams);
+        syncParamsToSource();
+        if (skipped.length) appendLog(`Parâmetros ignorados: ${skipped.join(', ')}`, 'warning');
+    }
+    if (state.format && [...exportFormatSelect.options].some(o => o.value === state.format)) {
+        exportFormatSelect.value = state.format;
+    }
+    const qualityRadio = [...qualityRadios].find(r => r.value === state.quality);
+    if (qualityRadio) qualityRadio.checked = true;
+    if (Array.isArray(state.camera?.position) && Array.isArray(state.camera?.target)) {
+        pendingCameraView = state.camera;
+    }
+    startCompile();
+}
+
+async function openPermalink() {
+    if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+    let state;
+    try {
+        state = await decodeShareHash(location.hash);
+    } catch (err) {
+        appendLog(`Não foi possível abrir o link compartilhado: ${err.message}`, 'error');
+        return;
+    }
+    const entries = Object.entries(state.files).map(([path, text]) => ({ path, file: new File([text], path.split('/').pop()) }));
+    appendLog('Abrindo modelo compartilhado…', 'info');
+    await handleFiles(entries, state);
+}
+
+window.addEventListener('hashchange', openPermalink);
+
+/* ═══════════════ INIT ═══════════════ */
+initViewer();
+openPermalink();
+
+// Offline cache for the app shell, OpenSCAD WASM, Three.js and fonts (see sw.js)
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch((err) => {
+        appendLog(`Cache offline indisponível: ${err.message}`, 'warning');
+    });
+}
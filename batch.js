@@ -0,0 +1,154 @@
+/* ═══════════════════════════════════════════
+   batch.js — Variant matrix for batch compiles
+   Value lists, ranges and the cartesian product of the chosen
+   parameters; file names derived from the values
+   ═══════════════════════════════════════════ */
+
+import { NUMBER_RE } from './parameters.js';
+
+export const MAX_BATCH_VARIANTS = 500;
+
+/**
+ * Decimal places needed to write `x` exactly (1e-7 → 7, 0.25 → 2).
+ */
+function decimalPlaces(x) {
+    const [mantissa, exponent] = x.toExponential().split('e');
+    const digits = (mantissa.split('.')[1] || '').length;
+    return Math.max(0, digits - Number(exponent));
+}
+
+/**
+ * Split on commas that are outside brackets and quotes.
+ */
+function splitList(text) {
+    const items = [];
+    let depth = 0;
+    let quoted = false;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '"' && text[i - 1] !== '\\') quoted = !quoted;
+        else if (quoted) continue;
+        else if (ch === '[') depth++;
+        else if (ch === ']') depth--;
+        else if (ch === ',' && depth === 0) {
+            items.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    items.push(text.slice(start));
+    return items.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Values for parameter `p` from the batch field. Accepts a list
+ * ("10, 20, 30") or, for numbers, a range in OpenSCAD order
+ * ("10:40" or "10:5:40"). Throws with a message for the log.
+ */
+export function parseVariantValues(p, text) {
+    const source = text.trim();
+    if (!source) throw new Error(`${p.name}: informe ao menos um valor`);
+
+    if (p.type === 'number' && source.includes(':')) {
+        const fields = source.split(':').map(f => f.trim());
+        if (fields.length > 3 || !fields.every(f => NUMBER_RE.test(f))) {
+            throw new Error(`${p.name}: intervalo inválido "${source}"`);
+        }
+        const [start, step, end] = fields.length === 3 ? fields.map(Number) : [Number(fields[0]), 1, Number(fields[1])];
+        if (!(step > 0) || end < start) throw new Error(`${p.name}: intervalo inválido "${source}"`);
+
+        // Round to the precision of start and step so 0.1 steps do not drift
+        const decimals = Math.max(decimalPlaces(start), decimalPlaces(step));
+        if (decimals > 15) throw new Error(`${p.name}: passo pequeno demais em "${source}"`);
+        const values = [];
+        for (let i = 0; ; i++) {
+            const v = start + i * step;
+            if (v > end + step * 1e-9) break;
+            values.push(Number(v.toFixed(decimals)));
+            if (values.length > MAX_BATCH_VARIANTS) break;
+        }
+        return values;
+    }
+
+    return splitList(source).map((item) => {
+        switch (p.type) {
+            case 'number': {
+                const n = Number(item);
+                if (!Number.isFinite(n)) throw new Error(`${p.name}: "${item}" não é um número`);
+                return n;
+            }
+            case 'bool':
+                if (item === 'true' || item === 'false') return item === 'true';
+                throw new Error(`${p.name}: use true ou false`);
+            case 'vector': {
+                const m = item.match(/^\[(.*)\]$/);
+                const list = m ? m[1].split(',').map(Number) : [];
+                if (!list.length || !list.every(Number.isFinite)) throw new Error(`${p.name}: "${item}" não é um vetor como [1, 2, 3]`);
+                return list;
+            }
+            default: {
+                const m = item.match(/^"(.*)"$/);
+                return m ? m[1].replace(/\\"/g, '"') : item;
+            }
+        }
+    });
+}
+
+/**
+ * Cartesian product of axes [{ name, values }] as [{ name: value }].
+ */
+export function expandMatrix(axes) {
+    let combos = [{}];
+    for (const { name, values } of axes) {
+        const next = [];
+        for (const combo of combos) {
+            for (const value of values) next.push({ ...combo, [name]: value });
+        }
+        combos = next;
+    }
+    return combos;
+}
+
+/**
+ * Number of variants without building them.
+ */
+export function countVariants(axes) {
+    return axes.reduce((n, axis) => n * axis.values.length, 1);
+}
+
+/**
+ * File-system safe version of `text`: anything but letters, digits,
+ * '_', '.' and '-' becomes '_'.
+ */
+export function safeFileStem(text) {
+    return text.replace(/[^\p{L}\p{N}_.\-]+/gu, '_');
+}
+
+/**
+ * Make names unique by suffixing repeats with _2, _3…, compared
+ * case-insensitively ("a b" and "a/b" both sanitize to "a_b", and
+ * some file systems ignore case).
+ */
+export function dedupeNames(names) {
+    const taken = new Set();
+    return names.map((name) => {
+        let unique = name;
+        for (let n = 2; taken.has(unique.toLowerCase()); n++) unique = `${name}_${n}`;
+        taken.add(unique.toLowerCase());
+        return unique;
+    });
+}
+
+/**
+ * "bracket_comprimento-40_furo-3" for each combination: file-system
+ * safe, one name-value pair per parameter, unique within the batch.
+ */
+export function variantStems(base, combos) {
+    return dedupeNames(combos.map((combo) => {
+        const parts = Object.entries(combo).map(([name, value]) => {
+            const text = Array.isArray(value) ? value.join('x') : String(value);
+            return `${name}-${text}`;
+        });
+        return safeFileStem([base, ...parts].join('_'));
+    }));
+}
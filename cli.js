@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/* ═══════════════════════════════════════════
+   cli.js — scad-web command line
+   scad-web render model.scad -D size=30 -o out.stl
+   Renders a model, or each of its parameter sets, with the same
+   pipeline as the browser (headless.js) and exits non-zero on
+   OpenSCAD errors, so a CI build can fail on them
+   ═══════════════════════════════════════════ */
+
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+import {
+    compile, readProject, defaultCacheDir, FORMATS, parseOverride, parseParameterSetFile,
+} from './headless.js';
+import { safeFileStem, dedupeNames } from './batch.js';
+
+const USAGE = `Uso: scad-web render <modelo.scad> [opções]
+
+  -o, --output <arquivo>       arquivo de saída; o formato vem da extensão
+                               (padrão: <modelo>.stl ao lado do modelo)
+  -f, --format <formato>       ${Object.keys(FORMATS).join(', ')}
+  -D <nome>=<valor>            sobrescreve um parâmetro: 30, true, "texto", [1, 2, 3]
+  -p, --params <arquivo.json>  conjuntos de parâmetros do Customizer
+  -P, --set <nome>             conjunto a renderizar (repetível; padrão: todos)
+      --root <pasta>           raiz do projeto (padrão: a pasta do modelo)
+      --lib <prefixo>=<pasta>  biblioteca local no lugar da cópia do CDN (repetível)
+      --cache-dir <pasta>      cache das bibliotecas baixadas (padrão: ${defaultCacheDir()};
+                               bibliotecas num branch são baixadas de novo após um dia)
+      --refresh                baixa as bibliotecas de novo, ignorando o cache
+      --preview                qualidade de prévia (rápida, menos facetas)
+      --strict                 avisos do OpenSCAD também contam como falha
+  -q, --quiet                  mostra só erros e avisos
+  -h, --help
+
+Com vários conjuntos, cada um vai para <saída>_<conjunto>.<formato>.
+Saída: 0 sem erros, 1 com erros do OpenSCAD, 2 uso incorreto.`;
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error { }
+
+const OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string', short: 'f' },
+    define: { type: 'string', short: 'D', multiple: true },
+    params: { type: 'string', short: 'p' },
+    set: { type: 'string', short: 'P', multiple: true },
+    root: { type: 'string' },
+    lib: { type: 'string', multiple: true },
+    'cache-dir': { type: 'string' },
+    refresh: { type: 'boolean' },
+    preview: { type: 'boolean' },
+    strict: { type: 'boolean' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * "name=value" options into [name, value], for --lib.
+ */
+function splitPair(text, option) {
+    const eq = text.indexOf('=');
+    if (eq <= 0 || eq === text.length - 1) throw new UsageError(`${option} espera prefixo=pasta, recebeu "${text}"`);
+    return [text.slice(0, eq), text.slice(eq + 1)];
+}
+
+/**
+ * One render per selected parameter set (or one without sets):
+ * [{ output, parameterSet }].
+ */
+async function planJobs(values, output) {
+    if (!values.params) {
+        if (values.set) throw new UsageError('-P precisa de um arquivo de conjuntos (-p)');
+        return [{ output, parameterSet: null }];
+    }
+
+    let sets;
+    try {
+        sets = parseParameterSetFile(await readFile(values.params, 'utf8'));
+    } catch (err) {
+        throw new UsageError(`${values.params}: ${err.message}`);
+    }
+    const names = values.set || Object.keys(sets);
+    const missing = names.filter(name => !sets[name]);
+    if (missing.length) throw new UsageError(`conjunto(s) não encontrado(s) em ${values.params}: ${missing.join(', ')}`);
+    if (names.length === 0) throw new UsageError(`${values.params} não tem conjuntos de parâmetros`);
+
+    const ext = extname(output);
+    const stem = output.slice(0, output.length - ext.length);
+    const stems = dedupeNames(names.map(name => `${stem}_${safeFileStem(name)}`));
+    return names.map((name, i) => ({
+        output: names.length === 1 ? output : stems[i] + ext,
+        parameterSet: { name, values: sets[name] },
+    }));
+}
+
+/**
+ * Render one job; returns whether it passed.
+ */
+async function render(job, request, options, { strict, quiet }) {
+    const counts = { error: 0, warning: 0 };
+    const label = job.parameterSet ? `[${job.parameterSet.name}] ` : '';
+    const diagnostic = (d) => {
+        if (d.severity === 'trace') return;
+        counts[d.severity]++;
+        if (quiet) {
+            const where = d.file ? `${d.file}${d.line ? `:${d.line}` : ''}: ` : '';
+            console.error(`${label}${where}${d.severity === 'error' ? 'ERRO' : 'AVISO'}: ${d.message}`);
+        }
+    };
+
+    let out;
+    try {
+        out = await compile({ ...request, parameterSet: job.parameterSet }, { ...options, diagnostic });
+    } catch (err) {
+        console.error(`${label}FALHOU ${job.output}: ${err.message}`);
+        return false;
+    }
+    if (out.format !== request.format) {
+        console.error(`${label}FALHOU ${job.output}: o modelo é 2D; use projection() ou um formato 2D (dxf, svg)`);
+        return false;
+    }
+
+    await mkdir(dirname(job.output), { recursive: true });
+    await writeFile(job.output, out.data);
+
+    const failed = counts.error > 0 || (strict && counts.warning > 0);
+    const summary = `${job.output} (${(out.data.byteLength / 1024).toFixed(1)} KB, ` +
+        `${counts.error} erro(s), ${counts.warning} aviso(s))`;
+    console.error(`${label}${failed ? 'FALHOU' : 'OK'} ${summary}`);
+    return !failed;
+}
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    if (!command || command === '-h' || command === '--help') {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (command !== 'render') throw new UsageError(`comando desconhecido: ${command}`);
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: rest, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (positionals.length !== 1) throw new UsageError('informe um arquivo .scad');
+
+    const mainFile = resolve(positionals[0]);
+    const outputArg = values.output || join(dirname(mainFile), `${basename(mainFile, extname(mainFile))}.${values.format || 'stl'}`);
+    const format = (values.format || extname(outputArg).slice(1) || 'stl').toLowerCase();
+    if (!FORMATS[format]) throw new UsageError(`formato desconhecido: ${format}`);
+
+    let params;
+    try {
+        params = (values.define || []).map(parseOverride);
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    const libraryDirs = Object.fromEntries((values.lib || []).map((text) => {
+        const [prefix, dir] = splitPair(text, '--lib');
+        return [prefix, resolve(dir)];
+    }));
+
+    const project = await readProject(mainFile, values.root ? resolve(values.root) : dirname(mainFile));
+    const request = {
+        ...project,
+        params,
+        format,
+        quality: values.preview ? 'preview' : 'final',
+    };
+    const options = {
+        libraryDirs,
+        cacheDir: values['cache-dir'] ? resolve(values['cache-dir']) : defaultCacheDir(),
+        refresh: !!values.refresh,
+        log: values.quiet ? () => { } : text => console.error(text),
+    };
+
+    let passed = true;
+    for (const job of await planJobs(values, resolve(outputArg))) {
+        if (!await render(job, request, options, values)) passed = false;
+    }
+    return passed ? EXIT_OK : EXIT_FAILED;
+}
+
+main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (err) => {
+        if (err instanceof UsageError) {
+            console.error(`scad-web: ${err.message}\n\n${USAGE}`);
+            process.exitCode = EXIT_USAGE;
+        } else {
+            console.error(`scad-web: ${err.message}`);
+            process.exitCode = EXIT_FAILED;
+        }
+    },
+);
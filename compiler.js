@@ -0,0 +1,427 @@
+/* ═══════════════════════════════════════════
+   compiler.js — OpenSCAD compile pipeline
+   Library resolution, virtual FS, -D overrides, preview quality,
+   2D fallback, parts and debug overlays. Shared by the browser
+   worker (worker.js) and Node (headless.js, cli.js): whatever
+   depends on the environment comes in through `host`
+   ═══════════════════════════════════════════ */
+
+import { BUILTIN_LIBRARIES, includedPrefixes, detectLibraries } from './libraries.js';
+import { MAX_PARTS, splitParts, modifierSources } from './csg.js';
+import { buildDFlags } from './overrides.js';
+import { serializeParameterSetFile } from './presets.js';
+
+/**
+ * Output formats OpenSCAD can export, with the geometry dimension each
+ * expects. 3MF is missing on purpose: openscad-wasm 0.0.4 aborts while
+ * writing it ("null function or function signature mismatch").
+ */
+export const FORMATS = {
+    stl: { label: 'STL', dimension: 3 },
+    off: { label: 'OFF', dimension: 3 },
+    amf: { label: 'AMF', dimension: 3 },
+    dxf: { label: 'DXF', dimension: 2 },
+    svg: { label: 'SVG', dimension: 2 },
+};
+
+/**
+ * Special-variable overrides for preview quality: OpenSCAD's coarse
+ * defaults, applied on top of any top-level $fn/$fa/$fs in the model.
+ */
+const PREVIEW_OVERRIDES = ['$fn=0', '$fa=12', '$fs=2'];
+
+// Where a parameter set is written for OpenSCAD's -p / -P
+const PARAMETER_SET_PATH = '/.scadweb-params.json';
+
+/* ─── Console output ─── */
+
+/**
+ * Parse an OpenSCAD console line such as
+ *   ERROR: Parser error in file "/input.scad", line 3: syntax error
+ *   WARNING: Ignoring unknown variable 'x' in file input.scad, line 5
+ *   TRACE: called by 'foo' in file /input.scad, line 10
+ * into { severity, message, file, line }. Returns null for other lines.
+ */
+export function parseDiagnostic(text) {
+    const head = text.match(/^\s*(ERROR|WARNING|DEPRECATED|TRACE):\s*(.*)$/);
+    if (!head) return null;
+
+    const severity = head[1] === 'ERROR' ? 'error' : head[1] === 'TRACE' ? 'trace' : 'warning';
+    let message = head[2];
+    let file = null;
+    let line = null;
+
+    const loc = message.match(/,?\s*in file\s+"?([^",]+?)"?\s*,\s*line\s+(\d+)\s*:?/);
+    if (loc) {
+        // Make paths project-relative ("/parts/a.scad", "../a.scad" → "parts/a.scad", "a.scad")
+        file = loc[1].replace(/^(\.\.\/|\.\/|\/)+/, '');
+        line = parseInt(loc[2], 10);
+        const before = message.slice(0, loc.index).trim();
+        const after = message.slice(loc.index + loc[0].length).trim();
+        message = before && after ? `${before}: ${after}` : before || after;
+    }
+
+    return { severity, message, file, line };
+}
+
+/* ─── Libraries ─── */
+
+/**
+ * Resolve every library the sources include, following includes inside
+ * library files too. Libraries the project bundles itself are skipped.
+ * Returns [{ lib, files }].
+ */
+async function resolveLibraries(sources, libraries, projectFiles, host) {
+    const bundled = (prefix) => projectFiles.some(f => f.path.startsWith(prefix + '/'));
+    const resolved = new Map(); // prefix → { lib, files }
+    let pending = sources;
+
+    while (pending.length > 0) {
+        const next = [];
+        for (const lib of detectLibraries(pending, libraries)) {
+            if (resolved.has(lib.prefix) || bundled(lib.prefix)) continue;
+            const files = await host.loadLibrary(lib);
+            resolved.set(lib.prefix, { lib, files });
+            for (const [name, content] of files) {
+                if (name.endsWith('.scad')) next.push(typeof content === 'string' ? content : new TextDecoder().decode(content));
+            }
+        }
+        pending = next;
+    }
+
+    // Includes that match neither the project tree nor a registered library
+    const known = new Set(libraries.map(l => l.prefix));
+    for (const source of sources) {
+        for (const prefix of includedPrefixes(source)) {
+            const local = projectFiles.some(f => f.path.startsWith(prefix + '/') || f.path.includes('/' + prefix + '/'));
+            if (!known.has(prefix) && !local) {
+                host.log(`Biblioteca desconhecida: ${prefix}/ — adicione-a em "Bibliotecas".`, 'warning');
+            }
+        }
+    }
+
+    return [...resolved.values()];
+}
+
+/* ─── Virtual FS ─── */
+
+/**
+ * Create every missing directory on the way to `path` (mkdir -p).
+ */
+function mkdirp(instance, path) {
+    const parts = path.split('/').filter(Boolean);
+    let dir = '';
+    for (const part of parts) {
+        dir += '/' + part;
+        try { instance.FS.mkdir(dir); } catch (_) { }
+    }
+}
+
+/**
+ * Write a library tree to /<prefix>/ in the Emscripten virtual FS.
+ */
+function writeLibraryToFS(instance, prefix, files) {
+    // Write at root — same dir as the main file
+    // so include <prefix/file.scad> resolves directly
+    mkdirp(instance, '/' + prefix);
+
+    for (const [name, content] of files) {
+        // Handle subdirectories (if any)
+        const slash = name.lastIndexOf('/');
+        if (slash > 0) mkdirp(instance, `/${prefix}/${name.slice(0, slash)}`);
+        instance.FS.writeFile(`/${prefix}/${name}`, content);
+    }
+}
+
+/**
+ * Mirror the uploaded project tree into the virtual FS root, keeping
+ * relative paths, so local include/use and import() of assets resolve.
+ */
+function writeProjectToFS(instance, files) {
+    for (const { path, data } of files) {
+        const slash = path.lastIndexOf('/');
+        if (slash > 0) mkdirp(instance, '/' + path.slice(0, slash));
+        instance.FS.writeFile('/' + path, data);
+    }
+}
+
+/* ─── Quality ─── */
+
+let manifoldArgs = null; // cached result of detectManifold()
+
+/**
+ * Probe the WASM build once (via --help) for the Manifold backend.
+ * Newer builds take --backend=manifold, 2023 snapshots --enable=manifold;
+ * older ones have neither and get [].
+ */
+async function detectManifold(factory, log) {
+    if (manifoldArgs) return manifoldArgs;
+
+    let help = '';
+    const scad = await factory({
+        print: (text) => { help += text + '\n'; },
+        printErr: (text) => { help += text + '\n'; },
+    });
+    try {
+        scad.getInstance().callMain(['--help']);
+    } catch (_) { }
+
+    if (/--backend/.test(help)) manifoldArgs = ['--backend=manifold'];
+    else if (/manifold/i.test(help)) manifoldArgs = ['--enable=manifold'];
+    else manifoldArgs = [];
+
+    log(manifoldArgs.length
+        ? 'Backend Manifold disponível — usado nas prévias.'
+        : 'Backend Manifold indisponível nesta versão do OpenSCAD WASM; prévia usa CGAL.');
+    return manifoldArgs;
+}
+
+/* ─── Compile ─── */
+
+/**
+ * Compile a .scad model. Creates a FRESH OpenSCAD instance per run.
+ *
+ * request:
+ *   source           main .scad text
+ *   files            the rest of the project, [{ path, data }] (relative paths)
+ *   mainPath         where the main source lives in that tree ('input.scad')
+ *   params           overrides, [{ name, type, value }] (see overrides.js)
+ *   parameterSet     { name, values } — a Customizer parameter set
+ *                    (values as strings, see presets.js); `params` win
+ *   format           'stl' | 'off' | 'amf' | 'dxf' | 'svg'
+ *   quality          'final' (full resolution) or 'preview' (coarse
+ *                    $fn/$fa/$fs and, if available, the Manifold backend)
+ *   parts, debug     also render the colored parts / # and % objects
+ *   libraries        library registry (see libraries.js)
+ *
+ * host:
+ *   loadFactory()    → openscad-wasm's createOpenSCAD
+ *   loadLibrary(lib) → Map<filename, content> of a library tree
+ *   log(text, level) progress and OpenSCAD console lines
+ *                    (level 'info' | 'success' | 'warning' | 'error')
+ *   diagnostic(d)    ERROR / WARNING / TRACE lines, see parseDiagnostic()
+ *
+ * A 2D-only model asked for as a 3D format is re-exported as SVG so it
+ * can still be shown. Returns { data, format, dimension, parts, overlays }
+ * and throws when OpenSCAD produced no output.
+ */
+export async function compile(request, host) {
+    const format = request.format || 'stl';
+    const preview = request.quality === 'preview';
+    if (!FORMATS[format]) throw new Error(`Formato de saída desconhecido: ${format}`);
+
+    const { log } = host;
+    const factory = await host.loadFactory();
+    const scadSource = request.source;
+    const files = request.files || [];
+    const mainPath = '/' + (request.mainPath || 'input.scad');
+
+    // Load the libraries the sources include (unless the project ships its own copy)
+    const decoder = new TextDecoder();
+    const sources = [scadSource, ...files
+        .filter(f => f.path.toLowerCase().endsWith('.scad'))
+        .map(f => decoder.decode(f.data))];
+    const libraries = await resolveLibraries(sources, request.libraries || BUILTIN_LIBRARIES, files, host);
+
+    // -D flags for parameter overrides (escaped; throws on an invalid value)
+    const params = request.params || [];
+    const dFlags = params.length > 0 ? buildDFlags(params) : [];
+    if (dFlags.length > 0) {
+        log(`Overrides: ${dFlags.filter((_, i) => i % 2 === 1).join(', ')}`);
+    }
+
+    // OpenSCAD applies a parameter set after -D, so values overridden
+    // by `params` are left out of it
+    let parameterSetFile = null;
+    const setArgs = [];
+    if (request.parameterSet) {
+        const { name, values } = request.parameterSet;
+        const overridden = new Set(params.map(p => p.name));
+        const set = Object.fromEntries(Object.entries(values).filter(([key]) => !overridden.has(key)));
+        parameterSetFile = serializeParameterSetFile({ [name]: set });
+        setArgs.push('-p', PARAMETER_SET_PATH, '-P', name);
+        log(`Conjunto de parâmetros: ${name}`);
+    }
+
+    // Preview: coarse tessellation plus the faster geometry backend
+    const qualityArgs = [];
+    if (preview) {
+        for (const expr of PREVIEW_OVERRIDES) qualityArgs.push('-D', expr);
+        qualityArgs.push(...await detectManifold(factory, log));
+        log(`Qualidade de prévia: ${PREVIEW_OVERRIDES.join(', ')}`);
+    }
+
+    /**
+     * Forward an OpenSCAD output line: plain log plus a structured
+     * diagnostic when it is an ERROR/WARNING/TRACE.
+     */
+    const report = (text, fallbackLevel) => {
+        const diag = parseDiagnostic(text);
+        if (!diag) {
+            log(text, fallbackLevel);
+            return;
+        }
+        log(text, diag.severity === 'error' ? 'error' : diag.severity === 'warning' ? 'warning' : fallbackLevel);
+        host.diagnostic(diag);
+    };
+
+    /**
+     * One OpenSCAD run into /output.<fmt>. `actualDimension` is set when
+     * OpenSCAD refuses the export because the top-level object is 2D/3D.
+     * Parts pass their own source, path and arguments, and `output` for
+     * the console lines (the model's messages are already reported).
+     */
+    async function run(fmt, {
+        source = scadSource, path = mainPath, args = [...setArgs, ...dFlags, ...qualityArgs],
+        label = FORMATS[fmt].label, output = report,
+    } = {}) {
+        log('Inicializando instância OpenSCAD…');
+
+        let actualDimension = null;
+        const watch = (text) => {
+            if (/not a 3D object/i.test(text)) actualDimension = 2;
+            else if (/not a 2D object/i.test(text)) actualDimension = 3;
+        };
+
+        // Create a fresh instance for each compilation
+        const scad = await factory({
+            print: (text) => { watch(text); output(text, 'info'); },
+            printErr: (text) => { watch(text); output(text, 'error'); },
+        });
+
+        const instance = scad.getInstance();
+
+        // Write libraries to virtual FS
+        for (const { lib, files: libFiles } of libraries) {
+            writeLibraryToFS(instance, lib.prefix, libFiles);
+        }
+
+        // Mirror the rest of the project, then the main source on top
+        if (files.length > 0) {
+            writeProjectToFS(instance, files);
+            log(`Projeto: ${files.length + 1} arquivo(s) gravados no FS virtual.`);
+        }
+        const mainSlash = path.lastIndexOf('/');
+        if (mainSlash > 0) mkdirp(instance, path.slice(0, mainSlash));
+        instance.FS.writeFile(path, source);
+        if (parameterSetFile) instance.FS.writeFile(PARAMETER_SET_PATH, parameterSetFile);
+
+        // Build command-line arguments
+        const outputPath = `/output.${fmt}`;
+        const mainArgs = [path, '-o', outputPath, ...args];
+
+        log(`Compilando (${label})…`);
+
+        // Run OpenSCAD
+        try {
+            instance.callMain(mainArgs);
+        } catch (callErr) {
+            if (!callErr || callErr.status === undefined) throw callErr;
+        }
+
+        // Read the generated file
+        let data = null;
+        try {
+            data = instance.FS.readFile(outputPath);
+        } catch (_) { }
+
+        return { data, actualDimension };
+    }
+
+    let result = await run(format);
+    let outFormat = format;
+
+    if (!result.data && result.actualDimension === 2 && FORMATS[format].dimension === 3) {
+        log(`Modelo 2D detectado — ${FORMATS[format].label} exige um objeto 3D. Exportando como SVG.`, 'warning');
+        outFormat = 'svg';
+        result = await run(outFormat);
+    }
+
+    if (!result.data) {
+        if (result.actualDimension === 3 && FORMATS[format].dimension === 2) {
+            throw new Error(`${FORMATS[format].label} exige um modelo 2D. Use projection() ou escolha um formato 3D.`);
+        }
+        throw new Error(`Arquivo ${FORMATS[outFormat].label} de saída não foi gerado. Verifique seu código .scad.`);
+    }
+
+    log(`Compilação concluída — ${FORMATS[outFormat].label}: ${(result.data.byteLength / 1024).toFixed(1)} KB`, 'success');
+    const out = {
+        data: result.data, format: outFormat, dimension: FORMATS[outFormat].dimension,
+        parts: null, overlays: null,
+    };
+    if (out.dimension !== 3 || !(request.parts || request.debug)) return out;
+
+    // Parts and debug overlays are rendered from the evaluated CSG tree
+    // (csg.js), exported with the same overrides as the model; the
+    // pieces only need the quality flags
+    const csg = await run('csg', { label: 'árvore CSG', output: () => { } });
+    if (!csg.data) {
+        log('Não foi possível exportar a árvore CSG — peças, cores e depuração ignoradas.', 'warning');
+        return out;
+    }
+    const csgText = decoder.decode(csg.data);
+    const partPath = mainPath.slice(0, mainPath.lastIndexOf('/') + 1) + '.scadweb-part.scad';
+    const renderPiece = source => run('stl', { source, path: partPath, args: qualityArgs, label: 'STL', output: log });
+
+    try {
+        if (request.parts) out.parts = await compileParts(csgText, renderPiece, log);
+        if (request.debug) out.overlays = await compileOverlays(csgText, renderPiece, log);
+    } catch (err) {
+        log(`Árvore CSG não reconhecida (${err.message}) — peças, cores e depuração ignoradas.`, 'warning');
+    }
+    return out;
+}
+
+/**
+ * Render each part of the model (see csg.js) to STL, so the viewer can
+ * color and toggle them. `renderPiece` runs a CSG source next to the
+ * main file, so relative import() paths still resolve. Returns null
+ * when there is nothing to split, or [{ label, color, data }] — a
+ * single part comes back without data, it is the whole model.
+ */
+async function compileParts(csgText, renderPiece, log) {
+    const parts = splitParts(csgText);
+    if (parts === null) {
+        log(`Mais de ${MAX_PARTS} peças — exibindo o modelo em uma cor só.`, 'warning');
+        return null;
+    }
+    if (parts.length === 0 || (parts.length === 1 && !parts[0].color)) return null;
+    if (parts.length === 1) return [{ label: parts[0].label, color: parts[0].color, data: null }];
+
+    const rendered = [];
+    for (const [i, part] of parts.entries()) {
+        log(`Peça ${i + 1}/${parts.length} (${part.label})…`);
+        const result = await renderPiece(part.source);
+        if (!result.data) {
+            log(`Peça ${i + 1} (${part.label}) não gerou geometria — ignorada.`, 'warning');
+            continue;
+        }
+        rendered.push({ label: part.label, color: part.color, data: result.data });
+    }
+    log(`${rendered.length} peça(s) separada(s).`, 'success');
+    return rendered;
+}
+
+/**
+ * Render the highlighted (#) and background (%) objects to one STL per
+ * kind for the viewer's debug overlays. Returns null when the model
+ * has neither, or { highlight, background } (data or null).
+ */
+async function compileOverlays(csgText, renderPiece, log) {
+    const sources = modifierSources(csgText);
+    if (!sources.highlight && !sources.background) {
+        log('Depuração: nenhum objeto com # ou % no modelo.');
+        return null;
+    }
+
+    const overlays = { highlight: null, background: null };
+    const names = { highlight: 'destacado(s) (#)', background: 'de fundo (%)' };
+    for (const kind of ['highlight', 'background']) {
+        if (!sources[kind]) continue;
+        log(`Depuração: ${sources.count[kind]} objeto(s) ${names[kind]}…`);
+        const result = await renderPiece(sources[kind]);
+        if (result.data) overlays[kind] = result.data;
+        else log(`Depuração: objetos ${names[kind]} sem geometria 3D — não exibidos.`, 'warning');
+    }
+    return overlays;
+}
@@ -0,0 +1,235 @@
+/* ═══════════════════════════════════════════
+   csg.js — Parts and debug objects from OpenSCAD's CSG tree
+   The .csg export is the evaluated model (no variables or modules),
+   so each top-level object can be rendered on its own, keeping the
+   color() that wraps it, and so can the # and % objects
+   ═══════════════════════════════════════════ */
+
+// Each part is one more OpenSCAD run
+export const MAX_PARTS = 32;
+
+// Nodes that only group or place their children; parts are split through them
+const WRAPPERS = new Set(['group', 'union', 'color', 'multmatrix']);
+
+/* ─── Parser ─── */
+
+/**
+ * Parse CSG text into nodes:
+ *   { modifier, name, args (raw text), children (null for leaves), source }
+ * Throws on malformed input.
+ */
+export function parseCsg(text) {
+    let i = 0;
+    const ident = /[!#%*]*([A-Za-z_$][\w$]*)/y;
+
+    const fail = () => {
+        throw new Error(`CSG inválido perto de "${text.slice(i, i + 30)}"`);
+    };
+
+    function skipSpace() {
+        while (i < text.length && /\s/.test(text[i])) i++;
+    }
+
+    function readArgs() {
+        const start = i;
+        let depth = 0;
+        let quoted = false;
+        for (; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '\\') i++;
+                else if (ch === '"') quoted = false;
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === '(') {
+                depth++;
+            } else if (ch === ')' && --depth === 0) {
+                i++;
+                return text.slice(start + 1, i - 1);
+            }
+        }
+        return fail();
+    }
+
+    function readNode() {
+        const start = i;
+        ident.lastIndex = i;
+        const m = ident.exec(text);
+        if (!m) fail();
+        i = ident.lastIndex;
+        skipSpace();
+        if (text[i] !== '(') fail();
+        const args = readArgs();
+        skipSpace();
+        let children = null;
+        if (text[i] === ';') {
+            i++;
+        } else if (text[i] === '{') {
+            i++;
+            children = readList(true);
+        } else {
+            fail();
+        }
+        const modifier = m[0].slice(0, m[0].length - m[1].length);
+        return { modifier, name: m[1], args, children, source: text.slice(start, i) };
+    }
+
+    function readList(nested) {
+        const nodes = [];
+        for (;;) {
+            skipSpace();
+            if (i >= text.length) return nested ? fail() : nodes;
+            if (text[i] === '}') {
+                if (!nested) fail();
+                i++;
+                return nodes;
+            }
+            nodes.push(readNode());
+        }
+    }
+
+    return readList(false);
+}
+
+/* ─── Parts ─── */
+
+/**
+ * Background (%) and disabled (*) objects are not in the rendered model.
+ */
+function isRendered(node) {
+    return !node.modifier.includes('%') && !node.modifier.includes('*');
+}
+
+/**
+ * [r, g, b, a] (0–1) of a color() node, or null when OpenSCAD did not
+ * resolve the color (it writes negative components then).
+ */
+function nodeColor(node) {
+    const values = node.args.replace(/^\s*\[|\]\s*$/g, '').split(',').map(Number);
+    if (values.length !== 4 || !values.every(v => Number.isFinite(v) && v >= 0)) return null;
+    return values;
+}
+
+/**
+ * Distinct colors (as "r,g,b,a" keys) used in a subtree.
+ */
+function colorsIn(node, out = new Set()) {
+    if (!isRendered(node)) return out;
+    if (node.name === 'color') {
+        const color = nodeColor(node);
+        if (color) out.add(color.join(','));
+    }
+    for (const child of node.children || []) colorsIn(child, out);
+    return out;
+}
+
+/**
+ * Outermost color in a subtree (preorder), or null.
+ */
+function firstColor(node) {
+    if (!isRendered(node)) return null;
+    if (node.name === 'color') {
+        const color = nodeColor(node);
+        if (color) return color;
+    }
+    for (const child of node.children || []) {
+        const color = firstColor(child);
+        if (color) return color;
+    }
+    return null;
+}
+
+/**
+ * Name of the first node below the wrappers ("cube", "difference", …).
+ */
+function describe(node) {
+    while (WRAPPERS.has(node.name) && node.children?.length === 1) node = node.children[0];
+    return node.name;
+}
+
+/**
+ * Split the model into parts: { source (CSG text), color, label }.
+ *
+ * Every top-level object is a part; a single root group stands for the
+ * file itself and is opened. Objects mixing colors are opened further
+ * through groups, unions, colors and transforms (which are kept around
+ * each piece), so every part has one color. Under difference() and
+ * intersection() the outermost color is used.
+ *
+ * Returns null when the model has more than MAX_PARTS parts.
+ */
+export function splitParts(text) {
+    let roots = parseCsg(text).filter(isRendered);
+    if (roots.length === 1 && roots[0].name === 'group' && roots[0].children) {
+        roots = roots[0].children.filter(isRendered);
+    }
+
+    const parts = [];
+    const collect = (node, heads, inherited) => {
+        if (node.children && WRAPPERS.has(node.name) && colorsIn(node).size > 1) {
+            const head = `${node.name}(${node.args})`;
+            const color = node.name === 'color' ? nodeColor(node) || inherited : inherited;
+            for (const child of node.children.filter(isRendered)) collect(child, [...heads, head], color);
+            return;
+        }
+        // An empty group() renders nothing
+        if (node.name === 'group' && !node.children?.length) return;
+        parts.push({
+            source: heads.reduceRight((inner, head) => `${head} {\n${inner}\n}`, node.source),
+            color: firstColor(node) || inherited,
+            label: describe(node),
+        });
+    };
+    for (const node of roots) {
+        collect(node, [], null);
+        if (parts.length > MAX_PARTS) return null;
+    }
+    return parts;
+}
+
+/**
+ * "#rrggbb" for a part color (alpha dropped).
+ */
+export function colorHex(color) {
+    return '#' + color.slice(0, 3)
+        .map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/* ─── Debug modifiers ─── */
+
+/**
+ * Highlighted (#) and background (%) objects as standalone CSG sources,
+ * one per modifier kind, for the debug overlays. Each object keeps the
+ * transforms above it; other operations above it (difference(),
+ * hull(), …) are dropped, so it shows as written, like in OpenSCAD's
+ * preview. Disabled (*) objects are not in the tree, and a root (!)
+ * object already is the whole tree.
+ *   { highlight: string | null, background: string | null, count: { highlight, background } }
+ */
+export function modifierSources(text) {
+    const found = { highlight: [], background: [] };
+
+    const visit = (node, heads, inside) => {
+        const kinds = [];
+        if (node.modifier.includes('#') && !inside.has('highlight')) kinds.push('highlight');
+        if (node.modifier.includes('%') && !inside.has('background')) kinds.push('background');
+        // Without its own modifier, so a background object is rendered
+        const source = heads.reduceRight(
+            (inner, head) => `${head} {\n${inner}\n}`,
+            node.source.slice(node.modifier.length));
+        for (const kind of kinds) found[kind].push(source);
+
+        if (!node.children) return;
+        const nested = new Set([...inside, ...kinds]);
+        const childHeads = node.name === 'multmatrix' ? [...heads, `multmatrix(${node.args})`] : heads;
+        for (const child of node.children) visit(child, childHeads, nested);
+    };
+    for (const node of parseCsg(text)) visit(node, [], new Set());
+
+    return {
+        highlight: found.highlight.length ? found.highlight.join('\n') : null,
+        background: found.background.length ? found.background.join('\n') : null,
+        count: { highlight: found.highlight.length, background: found.background.length },
+    };
+}
@@ -0,0 +1,135 @@
+/* ═══════════════════════════════════════════
+   diff.js — Geometry difference between two models
+   Classifies the faces of the current model and of a reference as
+   added or removed material, by testing points just inside and
+   just outside each face against the other solid. No imports, so
+   it runs as is in analysis-worker.js
+   ═══════════════════════════════════════════ */
+
+// Bits of the per-face flags
+export const DIFF_ADDED = 1;
+export const DIFF_REMOVED = 2;
+
+/**
+ * Point-in-solid test for a closed triangle soup: parity of the
+ * crossings of a vertical ray, with triangles binned on an XY grid.
+ */
+function insideTester(positions, jitter) {
+    const triCount = positions.length / 9;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < positions.length; i += 3) {
+        minX = Math.min(minX, positions[i]);
+        maxX = Math.max(maxX, positions[i]);
+        minY = Math.min(minY, positions[i + 1]);
+        maxY = Math.max(maxY, positions[i + 1]);
+    }
+    const n = Math.min(512, Math.max(1, Math.ceil(Math.sqrt(triCount))));
+    const sx = (maxX - minX) / n || 1, sy = (maxY - minY) / n || 1;
+    const col = x => Math.min(n - 1, Math.max(0, Math.floor((x - minX) / sx)));
+    const row = y => Math.min(n - 1, Math.max(0, Math.floor((y - minY) / sy)));
+
+    const cells = Array.from({ length: n * n }, () => []);
+    for (let t = 0; t < triCount; t++) {
+        const o = t * 9;
+        const xs = [positions[o], positions[o + 3], positions[o + 6]];
+        const ys = [positions[o + 1], positions[o + 4], positions[o + 7]];
+        for (let r = row(Math.min(...ys)); r <= row(Math.max(...ys)); r++) {
+            for (let c = col(Math.min(...xs)); c <= col(Math.max(...xs)); c++) cells[r * n + c].push(t);
+        }
+    }
+
+    return (x, y, z) => {
+        // Off-grid nudge so the ray does not run exactly through shared edges
+        x += jitter;
+        y += jitter * 0.7071;
+        if (x < minX || x > maxX || y < minY || y > maxY) return false;
+        let crossings = 0;
+        for (const t of cells[row(y) * n + col(x)]) {
+            const o = t * 9;
+            const ax = positions[o], ay = positions[o + 1], az = positions[o + 2];
+            const bx = positions[o + 3], by = positions[o + 4], bz = positions[o + 5];
+            const cx = positions[o + 6], cy = positions[o + 7], cz = positions[o + 8];
+            const det = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+            if (det === 0) continue;    // vertical triangle
+            const u = ((by - cy) * (x - cx) + (cx - bx) * (y - cy)) / det;
+            const v = ((cy - ay) * (x - cx) + (ax - cx) * (y - cy)) / det;
+            if (u < 0 || v < 0 || u + v > 1) continue;
+            if (u * az + v * bz + (1 - u - v) * cz > z) crossings++;
+        }
+        return crossings % 2 === 1;
+    };
+}
+
+/**
+ * Centroid, unit normal and area of each triangle, for `visit`.
+ */
+function forEachFace(positions, visit) {
+    const c = [0, 0, 0], nrm = [0, 0, 0];
+    for (let t = 0; t < positions.length / 9; t++) {
+        const o = t * 9;
+        const ux = positions[o + 3] - positions[o], uy = positions[o + 4] - positions[o + 1], uz = positions[o + 5] - positions[o + 2];
+        const wx = positions[o + 6] - positions[o], wy = positions[o + 7] - positions[o + 1], wz = positions[o + 8] - positions[o + 2];
+        nrm[0] = uy * wz - uz * wy;
+        nrm[1] = uz * wx - ux * wz;
+        nrm[2] = ux * wy - uy * wx;
+        const len = Math.hypot(nrm[0], nrm[1], nrm[2]);
+        if (len === 0) continue;
+        for (let d = 0; d < 3; d++) {
+            nrm[d] /= len;
+            c[d] = (positions[o + d] + positions[o + 3 + d] + positions[o + 6 + d]) / 3;
+        }
+        visit(t, c, nrm, len / 2);
+    }
+}
+
+function diagonal(...lists) {
+    const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    for (const positions of lists) {
+        for (let i = 0; i < positions.length; i += 3) {
+            for (let d = 0; d < 3; d++) {
+                min[d] = Math.min(min[d], positions[i + d]);
+                max[d] = Math.max(max[d], positions[i + d]);
+            }
+        }
+    }
+    return Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+}
+
+/**
+ * Compare two closed meshes (non-indexed, 9 floats per triangle, same
+ * coordinates). Faces of `current`:
+ *   DIFF_ADDED   — just inside it is outside the reference (new material)
+ *   DIFF_REMOVED — just outside it is inside the reference (material cut away)
+ * Faces of `reference`:
+ *   DIFF_REMOVED — just inside it is outside the current model
+ * Unchanged surfaces (inside and outside agree) get no flag.
+ * Returns { current: Uint8Array, reference: Uint8Array, addedArea, removedArea }.
+ */
+export function diffMeshes(current, reference) {
+    const diag = diagonal(current, reference);
+    const step = diag * 1e-4;
+    const jitter = diag * 1.2345e-7;
+    const insideReference = insideTester(reference, jitter);
+    const insideCurrent = insideTester(current, jitter);
+
+    const currentFlags = new Uint8Array(current.length / 9);
+    const referenceFlags = new Uint8Array(reference.length / 9);
+    let addedArea = 0, removedArea = 0;
+
+    forEachFace(current, (t, c, n, area) => {
+        if (!insideReference(c[0] - n[0] * step, c[1] - n[1] * step, c[2] - n[2] * step)) {
+            currentFlags[t] = DIFF_ADDED;
+            addedArea += area;
+        } else if (insideReference(c[0] + n[0] * step, c[1] + n[1] * step, c[2] + n[2] * step)) {
+            currentFlags[t] = DIFF_REMOVED;
+        }
+    });
+    forEachFace(reference, (t, c, n, area) => {
+        if (!insideCurrent(c[0] - n[0] * step, c[1] - n[1] * step, c[2] - n[2] * step)) {
+            referenceFlags[t] = DIFF_REMOVED;
+            removedArea += area;
+        }
+    });
+
+    return { current: currentFlags, reference: referenceFlags, addedArea, removedArea };
+}
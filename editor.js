@@ -0,0 +1,314 @@
+/* ═══════════════════════════════════════════
+   editor.js — Lightweight OpenSCAD code editor
+   Textarea + highlighted overlay · Line numbers · Find/replace
+   ═══════════════════════════════════════════ */
+
+/* ═══════════════ SYNTAX HIGHLIGHTING ═══════════════ */
+
+const KEYWORDS = new Set([
+    'module', 'function', 'if', 'else', 'for', 'let', 'each', 'include', 'use',
+    'intersection_for', 'assert', 'echo', 'true', 'false', 'undef',
+]);
+
+const BUILTINS = new Set([
+    // 3D / 2D primitives
+    'cube', 'sphere', 'cylinder', 'polyhedron', 'square', 'circle', 'polygon', 'text',
+    'import', 'surface',
+    // Transformations
+    'translate', 'rotate', 'scale', 'resize', 'mirror', 'multmatrix', 'color', 'offset',
+    'hull', 'minkowski', 'projection', 'linear_extrude', 'rotate_extrude', 'render', 'children',
+    // CSG
+    'union', 'difference', 'intersection',
+    // Functions
+    'abs', 'sign', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2', 'floor', 'round',
+    'ceil', 'ln', 'log', 'pow', 'sqrt', 'exp', 'min', 'max', 'norm', 'cross', 'len', 'concat',
+    'lookup', 'str', 'chr', 'ord', 'search', 'rands', 'version', 'version_num', 'parent_module',
+    'is_undef', 'is_bool', 'is_num', 'is_string', 'is_list', 'is_function',
+]);
+
+// One alternation per token class, tried left to right at each position
+const TOKEN_RE = new RegExp([
+    /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))/.source,  // 1 comment
+    /("(?:[^"\\\n]|\\.)*"?)/.source,                // 2 string
+    /((?<=\b(?:include|use)\s*)<[\w./ -]+>)/.source, // 3 include/use path
+    /(\$\w+)/.source,                                // 4 special variable
+    /(\b\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+)/.source,  // 5 number
+    /([A-Za-z_]\w*)/.source,                         // 6 identifier
+    /((?<=(?:^|[;{}\n])[ \t]*)[#%!*](?=\s*[A-Za-z_(\[{]))/.source, // 7 debug modifier
+].join('|'), 'gi');
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Turn OpenSCAD source into HTML with <span class="tok-…"> wrappers.
+ */
+export function highlightScad(source) {
+    let html = '';
+    let last = 0;
+
+    for (const m of source.matchAll(TOKEN_RE)) {
+        html += escapeHtml(source.slice(last, m.index));
+        last = m.index + m[0].length;
+
+        let cls;
+        if (m[1] !== undefined) cls = 'comment';
+        else if (m[2] !== undefined) cls = 'string';
+        else if (m[3] !== undefined) cls = 'string';
+        else if (m[4] !== undefined) cls = 'special';
+        else if (m[5] !== undefined) cls = 'number';
+        else if (m[6] !== undefined) cls = KEYWORDS.has(m[6]) ? 'keyword' : BUILTINS.has(m[6]) ? 'builtin' : null;
+        else cls = 'modifier';
+
+        html += cls ? `<span class="tok-${cls}">${escapeHtml(m[0])}</span>` : escapeHtml(m[0]);
+    }
+
+    html += escapeHtml(source.slice(last));
+    // A trailing newline would collapse in <pre>; keep the last line visible
+    return html + '\n';
+}
+
+/* ═══════════════ EDITOR ═══════════════ */
+
+/**
+ * Mount an editor inside `container`.
+ * `onChange(text)` fires on user edits (never on setValue).
+ */
+export function createEditor(container, { onChange } = {}) {
+    container.classList.add('code-editor');
+    container.innerHTML = `
+        <div class="editor-findbar" hidden>
+            <input type="text" class="editor-find" placeholder="Buscar" spellcheck="false" />
+            <input type="text" class="editor-replace" placeholder="Substituir" spellcheck="false" />
+            <span class="editor-find-count"></span>
+            <button type="button" class="btn-icon" data-action="prev" title="Anterior (Shift+Enter)">↑</button>
+            <button type="button" class="btn-icon" data-action="next" title="Próximo (Enter)">↓</button>
+            <button type="button" class="btn-icon" data-action="replace" title="Substituir">Subst.</button>
+            <button type="button" class="btn-icon" data-action="replace-all" title="Substituir todos">Todos</button>
+            <button type="button" class="btn-icon" data-action="close" title="Fechar (Esc)">✕</button>
+        </div>
+        <div class="editor-body">
+            <div class="editor-gutter" aria-hidden="true"></div>
+            <div class="editor-scroll">
+                <pre class="editor-highlight" aria-hidden="true"></pre>
+                <textarea class="editor-input" spellcheck="false" autocapitalize="off"
+                    autocomplete="off" wrap="off" disabled
+                    placeholder="Carregue um arquivo .scad para editar o código."></textarea>
+            </div>
+        </div>`;
+
+    const findbar = container.querySelector('.editor-findbar');
+    const findInput = container.querySelector('.editor-find');
+    const replaceInput = container.querySelector('.editor-replace');
+    const findCount = container.querySelector('.editor-find-count');
+    const gutter = container.querySelector('.editor-gutter');
+    const highlight = container.querySelector('.editor-highlight');
+    const textarea = container.querySelector('.editor-input');
+
+    let lineCount = 0;
+
+    function render() {
+        const text = textarea.value;
+        highlight.innerHTML = highlightScad(text);
+
+        const lines = text.split('\n').length;
+        if (lines !== lineCount) {
+            lineCount = lines;
+            let nums = '';
+            for (let i = 1; i <= lines; i++) nums += i + '\n';
+            gutter.textContent = nums;
+        }
+        syncScroll();
+    }
+
+    function syncScroll() {
+        highlight.style.transform = `translate(${-textarea.scrollLeft}px, ${-textarea.scrollTop}px)`;
+        gutter.scrollTop = textarea.scrollTop;
+    }
+
+    function emitChange() {
+        render();
+        if (onChange) onChange(textarea.value);
+    }
+
+    /* ─── Editing helpers ─── */
+
+    // execCommand keeps the browser's undo stack intact
+    function insertText(text) {
+        if (!document.execCommand('insertText', false, text)) {
+            textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+            emitChange();
+        }
+    }
+
+    textarea.addEventListener('input', emitChange);
+    textarea.addEventListener('scroll', syncScroll);
+
+    textarea.addEventListener('keydown', (e) => {
+        const mod = e.ctrlKey || e.metaKey;
+
+        if (e.key === 'Tab' && !mod) {
+            e.preventDefault();
+            insertText('    ');
+        } else if (e.key === 'Enter' && !mod && !e.shiftKey) {
+            // Keep the indentation of the current line
+            e.preventDefault();
+            const before = textarea.value.slice(0, textarea.selectionStart);
+            const indent = before.slice(before.lastIndexOf('\n') + 1).match(/^\s*/)[0];
+            insertText('\n' + indent);
+        } else if (mod && (e.key === 'f' || e.key === 'h')) {
+            e.preventDefault();
+            openFind(e.key === 'h');
+        }
+    });
+
+    /* ─── Find / replace ─── */
+
+    function findAll() {
+        const needle = findInput.value;
+        if (!needle) return [];
+        const hay = textarea.value.toLowerCase();
+        const lower = needle.toLowerCase();
+        const hits = [];
+        let idx = hay.indexOf(lower);
+        while (idx !== -1) {
+            hits.push(idx);
+            idx = hay.indexOf(lower, idx + lower.length);
+        }
+        return hits;
+    }
+
+    function selectRange(start, end) {
+        textarea.focus();
+        textarea.setSelectionRange(start, end);
+        // Scroll the selection into view: place caret line near the middle
+        const line = textarea.value.slice(0, start).split('\n').length - 1;
+        const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 18;
+        textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 2);
+        syncScroll();
+    }
+
+    function updateCount(current) {
+        const hits = findAll();
+        findCount.textContent = hits.length
+            ? `${current >= 0 ? current + 1 : 0}/${hits.length}`
+            : (findInput.value ? '0/0' : '');
+        return hits;
+    }
+
+    function findStep(direction) {
+        const hits = findAll();
+        if (hits.length === 0) { updateCount(-1); return; }
+
+        const from = direction > 0 ? textarea.selectionEnd : textarea.selectionStart;
+        let i = direction > 0
+            ? hits.findIndex(h => h >= from)
+            : hits.findLastIndex(h => h < from);
+        if (i === -1) i = direction > 0 ? 0 : hits.length - 1;
+
+        selectRange(hits[i], hits[i] + findInput.value.length);
+        updateCount(i);
+        findInput.focus();
+    }
+
+    function replaceCurrent() {
+        const needle = findInput.value;
+        if (!needle) return;
+        const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+        if (selected.toLowerCase() === needle.toLowerCase()) {
+            textarea.focus();
+            insertText(replaceInput.value);
+        }
+        findStep(1);
+    }
+
+    function replaceAll() {
+        const hits = findAll();
+        if (hits.length === 0) return;
+        const len = findInput.value.length;
+        let text = textarea.value;
+        for (let i = hits.length - 1; i >= 0; i--) {
+            text = text.slice(0, hits[i]) + replaceInput.value + text.slice(hits[i] + len);
+        }
+        textarea.focus();
+        textarea.select();
+        insertText(text);
+        updateCount(-1);
+    }
+
+    function openFind(withReplace) {
+        findbar.hidden = false;
+        replaceInput.hidden = !withReplace;
+        container.querySelector('[data-action="replace"]').hidden = !withReplace;
+        container.querySelector('[data-action="replace-all"]').hidden = !withReplace;
+
+        const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+        if (selected && !selected.includes('\n')) findInput.value = selected;
+        findInput.focus();
+        findInput.select();
+        updateCount(-1);
+    }
+
+    function closeFind() {
+        findbar.hidden = true;
+        textarea.focus();
+    }
+
+    findInput.addEventListener('input', () => updateCount(-1));
+    findInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); findStep(e.shiftKey ? -1 : 1); }
+        if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); closeFind(); }
+    });
+    replaceInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); replaceCurrent(); }
+        if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); closeFind(); }
+    });
+    findbar.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'next') findStep(1);
+        else if (action === 'prev') findStep(-1);
+        else if (action === 'replace') replaceCurrent();
+        else if (action === 'replace-all') replaceAll();
+        else if (action === 'close') closeFind();
+    });
+
+    /* ─── Public API ─── */
+
+    return {
+        getValue: () => textarea.value,
+
+        /**
+         * Replace the whole text without firing onChange.
+         * Keeps the caret and scroll position when the text is only tweaked.
+         */
+        setValue(text) {
+            if (text === textarea.value) return;
+            const { selectionStart, selectionEnd, scrollTop, scrollLeft } = textarea;
+            textarea.value = text;
+            textarea.disabled = false;
+            textarea.setSelectionRange(
+                Math.min(selectionStart, text.length),
+                Math.min(selectionEnd, text.length),
+            );
+            textarea.scrollTop = scrollTop;
+            textarea.scrollLeft = scrollLeft;
+            render();
+        },
+
+        /**
+         * Move the caret to a 1-based line (and optional column) and select it.
+         */
+        goToLine(line, column = 1) {
+            const lines = textarea.value.split('\n');
+            const target = Math.max(1, Math.min(line, lines.length));
+            let start = 0;
+            for (let i = 0; i < target - 1; i++) start += lines[i].length + 1;
+            const lineText = lines[target - 1];
+            const col = Math.max(0, Math.min(column - 1, lineText.length));
+            selectRange(start + col, start + lineText.length);
+        },
+
+        focus: () => textarea.focus(),
+    };
+}
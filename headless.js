@@ -0,0 +1,161 @@
+/* ═══════════════════════════════════════════
+   headless.js — Programmatic API for Node
+   compiler.js with a Node host: openscad-wasm from node_modules,
+   libraries from local folders or jsDelivr (cached on disk), and
+   projects read from a folder
+   ═══════════════════════════════════════════ */
+
+import { readFile, writeFile, readdir, mkdir } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join, dirname, relative, sep } from 'node:path';
+import { compile as compileModel } from './compiler.js';
+import { BUILTIN_LIBRARIES, libraryKey, downloadLibrary, isStale } from './libraries.js';
+
+export { FORMATS, parseDiagnostic } from './compiler.js';
+export { parseOverride } from './overrides.js';
+export { parseParameterSetFile } from './presets.js';
+
+let createOpenSCAD = null;
+
+// Library trees already read in this process, by libraryKey() or folder
+const libraryMemory = new Map();
+
+async function loadFactory() {
+    if (!createOpenSCAD) ({ createOpenSCAD } = await import('openscad-wasm'));
+    return createOpenSCAD;
+}
+
+/**
+ * $XDG_CACHE_HOME/scad-web, or ~/.cache/scad-web.
+ */
+export function defaultCacheDir() {
+    return join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'scad-web');
+}
+
+/* ─── Files ─── */
+
+/**
+ * Every file below `dir` as [{ path, data }], with '/'-separated
+ * relative paths. Hidden entries and node_modules are skipped.
+ */
+export async function readTree(dir, prefix = '') {
+    const files = [];
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        const path = prefix + entry.name;
+        if (entry.isDirectory()) files.push(...await readTree(join(dir, entry.name), path + '/'));
+        else if (entry.isFile()) files.push({ path, data: new Uint8Array(await readFile(join(dir, entry.name))) });
+    }
+    return files;
+}
+
+/**
+ * The project around a main .scad file, as compile() takes it:
+ * { source, mainPath, files }. Every file below `root` (the main
+ * file's folder by default) is mirrored, so include/use and import()
+ * resolve like in the browser.
+ */
+export async function readProject(mainFile, root = dirname(mainFile)) {
+    const mainPath = relative(root, mainFile).split(sep).join('/');
+    if (mainPath.startsWith('../')) throw new Error(`${mainFile} não está dentro de ${root}`);
+    const source = await readFile(mainFile, 'utf8');
+    const files = (await readTree(root)).filter(f => f.path !== mainPath);
+    return { source, mainPath, files };
+}
+
+/* ─── Libraries ─── */
+
+/**
+ * Cached tree for `lib` as { files, fetchedAt }, or null. Files written
+ * before fetchedAt was kept hold the bare name → text object.
+ */
+async function readCachedLibrary(file) {
+    try {
+        const json = JSON.parse(await readFile(file, 'utf8'));
+        const files = json.files && typeof json.fetchedAt === 'number' ? json.files : json;
+        return { files: new Map(Object.entries(files)), fetchedAt: json.fetchedAt ?? 0 };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * CDN library tree from the disk cache or jsDelivr. The cache holds
+ * one JSON file per libraryKey(): { fetchedAt, files: { name: text } }.
+ * A tree at a branch expires after a day (isStale); `refresh` skips the
+ * cache. Only complete downloads are written.
+ */
+async function loadCdnLibrary(lib, cacheDir, refresh, log) {
+    const file = cacheDir && join(cacheDir, `${encodeURIComponent(libraryKey(lib))}.json`);
+    const cached = file && !refresh ? await readCachedLibrary(file) : null;
+    if (cached && !isStale(lib, cached.fetchedAt)) {
+        log(`${lib.name} carregada do cache local: ${cached.files.size} arquivos.`, 'success');
+        return cached.files;
+    }
+
+    let download;
+    try {
+        download = await downloadLibrary(lib, log);
+    } catch (err) {
+        if (!cached) throw err;
+        log(`${lib.name}: sem conexão para atualizar ${lib.repo}@${lib.ref}; usando a cópia local.`, 'warning');
+        return cached.files;
+    }
+    // A partial refresh is worse than the complete copy already on disk
+    if (cached && download.failed.length) return cached.files;
+
+    if (file && download.failed.length === 0) {
+        const json = JSON.stringify({ fetchedAt: Date.now(), files: Object.fromEntries(download.files) });
+        await mkdir(cacheDir, { recursive: true })
+            .then(() => writeFile(file, json))
+            .catch((err) => {
+                log(`Não foi possível salvar ${lib.name} no cache local: ${err.message}`, 'warning');
+            });
+    }
+    return download.files;
+}
+
+function libraryLoader(cacheDir, refresh, log) {
+    return async (lib) => {
+        const key = lib.source === 'local' ? `local:${lib.dir}` : libraryKey(lib);
+        if (libraryMemory.has(key)) return libraryMemory.get(key);
+
+        let files;
+        if (lib.source === 'local') {
+            files = new Map((await readTree(lib.dir)).map(f => [f.path, f.data]));
+            log(`${lib.name} carregada de ${lib.dir}: ${files.size} arquivos.`, 'success');
+        } else if (lib.source === 'upload') {
+            throw new Error(`Biblioteca ${lib.name} só existe no navegador. Passe a pasta dela em libraryDirs (--lib ${lib.prefix}=<pasta>).`);
+        } else {
+            files = await loadCdnLibrary(lib, cacheDir, refresh, log);
+        }
+        libraryMemory.set(key, files);
+        return files;
+    };
+}
+
+/* ─── Compile ─── */
+
+/**
+ * Compile a model in Node. `request` is the one compiler.js's compile()
+ * takes: { source, files, mainPath, params, parameterSet, format,
+ * quality, parts, debug, libraries } — readProject() fills the first
+ * three. `options`:
+ *   log(text, level)     progress and OpenSCAD console lines
+ *   diagnostic(d)        { severity: 'error' | 'warning' | 'trace', message, file, line }
+ *   libraryDirs          { prefix: folder } — local libraries, used instead of the CDN
+ *   cacheDir             where downloaded libraries are kept (null: no disk cache)
+ *   refresh              download CDN libraries again instead of using the cache
+ * Resolves to { data: Uint8Array, format, dimension, parts, overlays };
+ * rejects when OpenSCAD produced no output.
+ */
+export async function compile(request, {
+    log = () => { }, diagnostic = () => { }, libraryDirs = {}, cacheDir = defaultCacheDir(), refresh = false,
+} = {}) {
+    const libraries = [
+        ...(request.libraries || BUILTIN_LIBRARIES).filter(lib => !libraryDirs[lib.prefix]),
+        ...Object.entries(libraryDirs).map(([prefix, dir]) => ({ name: prefix, prefix, source: 'local', dir })),
+    ];
+    const host = { loadFactory, loadLibrary: libraryLoader(cacheDir, refresh, log), log, diagnostic };
+    return compileModel({ ...request, libraries }, host);
+}
@@ -0,0 +1,68 @@
+/* ═══════════════════════════════════════════
+   history.js — Compilation history (IndexedDB)
+   One entry per final or explicit compile, grouped by project and
+   main file
+   ═══════════════════════════════════════════ */
+
+import { idbGet, idbGetAllByIndex, idbPut, idbDelete } from './storage.js';
+
+const MAX_ENTRIES_PER_FILE = 25;
+
+/**
+ * Entry shape ("history" store, listed by the [projectId, file] index):
+ *   { id, projectId, file, timestamp, params: [{ name, value }],
+ *     duration (s), size (bytes), format, dimension, quality,
+ *     thumbnail (data URL) }
+ * The output itself ({ data, parts, overlays }) lives under the same id
+ * in "history-output", so listing never reads the meshes.
+ */
+
+/**
+ * Stable id for a loaded project: its top-level upload names plus every
+ * file path, so two projects that both have a main.scad stay apart.
+ */
+export function projectId(rootNames, paths) {
+    const text = [...new Set(rootNames)].sort().join('/') + '\n' + [...paths].sort().join('\n');
+    // FNV-1a, 32 bits
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Entries for `file` of project `projectId`, newest first (without output).
+ */
+export async function listHistory(projectId, file) {
+    const entries = await idbGetAllByIndex('history', 'project', [projectId, file]);
+    return entries.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * The { data, parts, overlays } stored with entry `id`.
+ */
+export function loadHistoryOutput(id) {
+    return idbGet('history-output', id);
+}
+
+/**
+ * Store a new entry and drop the oldest ones beyond the per-file limit.
+ */
+export async function addHistoryEntry({ data, parts, overlays, ...entry }) {
+    const id = `${entry.timestamp}-${Math.random().toString(36).slice(2, 8)}`;
+    await idbPut('history-output', id, { data, parts, overlays });
+    await idbPut('history', id, { ...entry, id });
+
+    const entries = await listHistory(entry.projectId, entry.file);
+    for (const old of entries.slice(MAX_ENTRIES_PER_FILE)) {
+        await deleteHistoryEntry(old.id);
+    }
+    return id;
+}
+
+export async function deleteHistoryEntry(id) {
+    await idbDelete('history', id);
+    await idbDelete('history-output', id);
+}
@@ -0,0 +1,158 @@
+/* ═══════════════════════════════════════════
+   libraries.js — OpenSCAD library registry
+   Built-in CDN libraries · User uploads · include/use detection
+   Downloads from jsDelivr (browser worker and Node)
+   ═══════════════════════════════════════════ */
+
+const JSDELIVR_GH = 'https://cdn.jsdelivr.net/gh/';
+const JSDELIVR_API = 'https://data.jsdelivr.com/v1/packages/gh/';
+
+// Library trees are cached by their hosts (IndexedDB, the disk cache),
+// which decide when a branch is fetched again; no HTTP cache in between
+const NO_STORE = { cache: 'no-store' };
+
+/**
+ * A library is mounted at /<prefix>/ in the virtual FS, so
+ * include <prefix/file.scad> resolves from the project root.
+ *
+ *   { name, prefix, source: 'cdn',    repo: 'owner/name', ref: 'master' }
+ *   { name, prefix, source: 'upload', fileCount }
+ *
+ * CDN libraries are fetched from jsDelivr's GitHub mirror at `ref`
+ * (branch, tag or commit). Uploaded ones live in IndexedDB.
+ */
+export const BUILTIN_LIBRARIES = [
+    { name: 'BOSL2', prefix: 'BOSL2', source: 'cdn', repo: 'BelfrySCAD/BOSL2', ref: 'master' },
+    { name: 'MCAD', prefix: 'MCAD', source: 'cdn', repo: 'openscad/MCAD', ref: 'master' },
+    { name: 'NopSCADlib', prefix: 'NopSCADlib', source: 'cdn', repo: 'nophead/NopSCADlib', ref: 'master' },
+    { name: 'Round-Anything', prefix: 'Round-Anything', source: 'cdn', repo: 'Irev-Dev/Round-Anything', ref: 'master' },
+];
+
+// A prefix is one folder name for include <prefix/…>; a ref goes into
+// jsDelivr URLs. Neither may be '.' or '..'.
+const PREFIX_RE = /^(?!\.+$)[\w.-]+$/;
+const REF_RE = /^(?!\.+$)[\w.-]+$/;
+const REPO_RE = /^[\w.-]+\/[\w.-]+$/;
+
+export const isValidPrefix = prefix => PREFIX_RE.test(prefix);
+export const isValidRef = ref => REF_RE.test(ref);
+export const isValidRepo = repo => REPO_RE.test(repo);
+
+/**
+ * Cache key for a library's file tree — changes whenever the pinned ref does.
+ */
+export function libraryKey(lib) {
+    return lib.source === 'upload' ? `upload:${lib.prefix}` : `${lib.prefix}@${lib.ref}`;
+}
+
+// How long a tree fetched at a branch is used before it is downloaded again
+export const BRANCH_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * A commit hash or a version tag: the files at this ref never change.
+ * Anything else (master, main, develop…) is a branch.
+ */
+export function isPinnedRef(ref) {
+    return /^[0-9a-f]{7,40}$/i.test(ref) || /^v?\d+(?:\.\d+)+$/.test(ref);
+}
+
+/**
+ * Whether a CDN tree fetched at `fetchedAt` (ms; 0 when unknown) is
+ * due for a fresh download.
+ */
+export function isStale(lib, fetchedAt) {
+    return lib.source === 'cdn' && !isPinnedRef(lib.ref) && Date.now() - fetchedAt > BRANCH_MAX_AGE;
+}
+
+/**
+ * First path segment of every include <…> / use <…> in `source`.
+ */
+export function includedPrefixes(source) {
+    const prefixes = new Set();
+    for (const m of source.matchAll(/\b(?:include|use)\s*<\s*([^/>\s]+)\//g)) {
+        prefixes.add(m[1]);
+    }
+    return prefixes;
+}
+
+/**
+ * Libraries referenced by any of the given sources.
+ */
+export function detectLibraries(sources, libraries) {
+    const used = new Set();
+    for (const source of sources) {
+        for (const prefix of includedPrefixes(source)) used.add(prefix);
+    }
+    return libraries.filter(lib => used.has(lib.prefix));
+}
+
+/**
+ * Download a CDN library tree from jsDelivr's GitHub mirror at its pinned ref.
+ * Returns { files: Map of filename → content, failed: [filename] };
+ * progress goes to `log(text, level)`. A tree with failures still
+ * compiles, but must not be cached as the library.
+ */
+export async function downloadLibrary(lib, log = () => { }) {
+    const tag = `${lib.repo}@${lib.ref}`;
+    log(`Carregando biblioteca ${lib.name} (${tag})…`);
+
+    // 1. Get file listing from jsDelivr API
+    let fileList;
+    try {
+        const resp = await fetch(`${JSDELIVR_API}${tag}?structure=flat`, NO_STORE);
+        if (!resp.ok) throw new Error(`versão "${lib.ref}" não encontrada (HTTP ${resp.status})`);
+        const data = await resp.json();
+        fileList = data.files
+            .map(f => f.name.startsWith('/') ? f.name.slice(1) : f.name)
+            .filter(name => name.endsWith('.scad'));
+    } catch (err) {
+        log(`Erro ao listar arquivos ${lib.name}: ${err.message}`, 'error');
+        throw err;
+    }
+
+    log(`${lib.name}: ${fileList.length} arquivos encontrados. Baixando…`);
+
+    // 2. Fetch all .scad files in parallel (in batches to avoid overwhelming)
+    const BATCH_SIZE = 15;
+    const base = `${JSDELIVR_GH}${tag}/`;
+    const files = new Map();
+    const failed = [];
+    let downloaded = 0;
+
+    for (let i = 0; i < fileList.length; i += BATCH_SIZE) {
+        const batch = fileList.slice(i, i + BATCH_SIZE);
+        const results = await Promise.all(
+            batch.map(async (name) => {
+                try {
+                    const resp = await fetch(base + name, NO_STORE);
+                    if (!resp.ok) return { name };
+                    const text = await resp.text();
+                    return { name, text };
+                } catch {
+                    return { name };
+                }
+            })
+        );
+
+        for (const result of results) {
+            if (result.text !== undefined) {
+                files.set(result.name, result.text);
+                downloaded++;
+            } else {
+                failed.push(result.name);
+            }
+        }
+
+        // Progress update every batch
+        if (i + BATCH_SIZE < fileList.length) {
+            log(`${lib.name}: ${downloaded}/${fileList.length} arquivos baixados…`);
+        }
+    }
+
+    if (failed.length) {
+        log(`${lib.name}: ${failed.length} arquivo(s) não baixado(s) (${failed.slice(0, 3).join(', ')}${failed.length > 3 ? ', …' : ''}); a cópia não será guardada no cache.`, 'warning');
+    } else {
+        log(`${lib.name} carregada: ${files.size} arquivos.`, 'success');
+    }
+    return { files, failed };
+}
@@ -0,0 +1,244 @@
+/* ═══════════════════════════════════════════
+   measure.js — Geometry measurements
+   Bounding box, volume and area of a mesh; feature edges,
+   edge chains and circle fitting for the picking tools.
+   All values are in model units (the geometry's own coordinates).
+   ═══════════════════════════════════════════ */
+
+import * as THREE from 'three';
+
+// Faces meeting at less than this are treated as one smooth surface
+const FEATURE_EDGE_ANGLE = 20;
+
+// A chain counts as circular when every point is this close to the fit (relative to r)
+const CIRCLE_TOLERANCE = 0.03;
+
+/* ─── Mesh statistics ─── */
+
+/**
+ * Triangle corners of a (possibly indexed) geometry, three at a time.
+ */
+function forEachTriangle(geometry, callback) {
+    const pos = geometry.getAttribute('position');
+    const index = geometry.getIndex();
+    const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+    const count = index ? index.count : pos.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+        const ia = index ? index.getX(i) : i;
+        const ib = index ? index.getX(i + 1) : i + 1;
+        const ic = index ? index.getX(i + 2) : i + 2;
+        a.fromBufferAttribute(pos, ia);
+        b.fromBufferAttribute(pos, ib);
+        c.fromBufferAttribute(pos, ic);
+        callback(a, b, c);
+    }
+}
+
+/**
+ * { min, max, size } of the bounding box plus surface area and enclosed
+ * volume (signed tetrahedra, exact for closed meshes). Lines and
+ * outlines only get the box.
+ */
+export function computeMeshStats(geometry, { surface = true } = {}) {
+    geometry.computeBoundingBox();
+    const box = geometry.boundingBox;
+    const stats = {
+        min: box.min.toArray(),
+        max: box.max.toArray(),
+        size: box.getSize(new THREE.Vector3()).toArray(),
+        volume: null,
+        area: null,
+    };
+    if (!surface) return stats;
+
+    let volume = 0;
+    let area = 0;
+    const ab = new THREE.Vector3(), ac = new THREE.Vector3(), cross = new THREE.Vector3();
+    forEachTriangle(geometry, (a, b, c) => {
+        volume += a.dot(cross.crossVectors(b, c)) / 6;
+        ab.subVectors(b, a);
+        ac.subVectors(c, a);
+        area += cross.crossVectors(ab, ac).length() / 2;
+    });
+    stats.volume = Math.abs(volume);
+    stats.area = area;
+    return stats;
+}
+
+/* ─── Feature edges ─── */
+
+/**
+ * Sharp edges of the mesh as a segment list with vertex adjacency,
+ * so picked segments can be grown into whole edges and loops.
+ *   { positions: Float32Array (6 per segment), count,
+ *     ends: [[va, vb]], links: Map<vertexKey, segment[]> }
+ */
+export function buildFeatureEdges(geometry, thresholdAngle = FEATURE_EDGE_ANGLE) {
+    const edges = new THREE.EdgesGeometry(geometry, thresholdAngle);
+    const positions = edges.getAttribute('position').array;
+    edges.dispose();
+
+    const count = positions.length / 6;
+    const ends = [];
+    const links = new Map();
+    // Rounded, not toFixed(): "-0.0000" would split the seam of a round loop
+    const round = (v) => Math.round(v * 1e4);
+    const key = (o) => `${round(positions[o])},${round(positions[o + 1])},${round(positions[o + 2])}`;
+    for (let s = 0; s < count; s++) {
+        const pair = [key(s * 6), key(s * 6 + 3)];
+        ends.push(pair);
+        for (const k of pair) {
+            if (!links.has(k)) links.set(k, []);
+            links.get(k).push(s);
+        }
+    }
+    return { positions, count, ends, links };
+}
+
+export function segmentPoints(edges, s) {
+    const p = edges.positions;
+    return [
+        new THREE.Vector3(p[s * 6], p[s * 6 + 1], p[s * 6 + 2]),
+        new THREE.Vector3(p[s * 6 + 3], p[s * 6 + 4], p[s * 6 + 5]),
+    ];
+}
+
+/**
+ * Index of the feature segment closest to `point`, and its distance.
+ */
+export function nearestSegment(edges, point) {
+    const line = new THREE.Line3();
+    const closest = new THREE.Vector3();
+    let best = -1;
+    let bestDist = Infinity;
+    for (let s = 0; s < edges.count; s++) {
+        const [a, b] = segmentPoints(edges, s);
+        line.set(a, b);
+        line.closestPointToPoint(point, true, closest);
+        const d = closest.distanceTo(point);
+        if (d < bestDist) {
+            bestDist = d;
+            best = s;
+        }
+    }
+    return { index: best, distance: bestDist };
+}
+
+/**
+ * Grow segment `start` through vertices shared by exactly two
+ * segments while `accept(prev, next)` allows it. Returns the ordered
+ * segments of the chain and whether it closes on itself.
+ */
+function growChain(edges, start, accept) {
+    const [a, b] = edges.ends[start];
+    const used = new Set([start]);
+
+    const walk = (fromKey) => {
+        const run = [];
+        let key = fromKey;
+        let prev = start;
+        for (;;) {
+            const next = (edges.links.get(key) || []).filter(s => s !== prev);
+            if (next.length !== 1) break;           // open end or a branch
+            const seg = next[0];
+            if (used.has(seg)) return { run, closed: seg === start };
+            if (!accept(prev, seg)) break;
+            used.add(seg);
+            run.push(seg);
+            const [na, nb] = edges.ends[seg];
+            key = na === key ? nb : na;
+            prev = seg;
+        }
+        return { run, closed: false };
+    };
+
+    const forward = walk(b);
+    if (forward.closed) return { segments: [start, ...forward.run], closed: true };
+    const backward = walk(a);
+    return { segments: [...backward.run.reverse(), start, ...forward.run], closed: false };
+}
+
+function segmentDirection(edges, s) {
+    const [a, b] = segmentPoints(edges, s);
+    return b.sub(a).normalize();
+}
+
+/**
+ * The straight edge containing segment `s`: collinear neighbours are
+ * merged, so tessellation breaks along a cube edge do not count.
+ */
+export function straightEdge(edges, s) {
+    const { segments } = growChain(edges, s, (prev, next) =>
+        Math.abs(segmentDirection(edges, prev).dot(segmentDirection(edges, next))) > 0.9999);
+    const pts = segments.flatMap(i => segmentPoints(edges, i));
+    // The two points farthest apart are the edge's ends
+    let from = pts[0], to = pts[1], length = 0;
+    for (const p of pts) {
+        for (const q of pts) {
+            const d = p.distanceTo(q);
+            if (d > length) { length = d; from = p; to = q; }
+        }
+    }
+    return { from, to, length, segments };
+}
+
+/**
+ * Points of the loop (or open run) of edges around segment `s`, for
+ * circle fitting. Stops at corners sharper than 45°.
+ */
+export function edgeLoop(edges, s) {
+    const { segments, closed } = growChain(edges, s, (prev, next) =>
+        Math.abs(segmentDirection(edges, prev).dot(segmentDirection(edges, next))) > Math.cos(Math.PI / 4));
+    const points = [];
+    for (const i of segments) {
+        for (const p of segmentPoints(edges, i)) {
+            if (!points.some(q => q.distanceToSquared(p) < 1e-10)) points.push(p);
+        }
+    }
+    return { points, segments, closed };
+}
+
+/* ─── Circles and angles ─── */
+
+/**
+ * Circle through three points, or null when they are collinear.
+ */
+function circumcircle(a, b, c) {
+    const ab = new THREE.Vector3().subVectors(b, a);
+    const ac = new THREE.Vector3().subVectors(c, a);
+    const normal = new THREE.Vector3().crossVectors(ab, ac);
+    const n2 = normal.lengthSq();
+    if (n2 < 1e-12) return null;
+    // center = a + ((|ac|² (n × ab)) + (|ab|² (ac × n))) / (2 |n|²)
+    const t1 = new THREE.Vector3().crossVectors(normal, ab).multiplyScalar(ac.lengthSq());
+    const t2 = new THREE.Vector3().crossVectors(ac, normal).multiplyScalar(ab.lengthSq());
+    const center = a.clone().add(t1.add(t2).divideScalar(2 * n2));
+    return { center, radius: center.distanceTo(a), normal: normal.normalize() };
+}
+
+/**
+ * Fit a circle to edge points (three well-spread samples, then every
+ * point is checked). Returns { center, radius, normal } or null when
+ * the points are not on a circle.
+ */
+export function fitCircle(points) {
+    if (points.length < 3) return null;
+    const n = points.length;
+    const circle = circumcircle(points[0], points[Math.floor(n / 3)], points[Math.floor((2 * n) / 3)]);
+    if (!circle) return null;
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(circle.normal, circle.center);
+    for (const p of points) {
+        const off = Math.abs(p.distanceTo(circle.center) - circle.radius);
+        if (off > circle.radius * CIRCLE_TOLERANCE) return null;
+        if (Math.abs(plane.distanceToPoint(p)) > circle.radius * CIRCLE_TOLERANCE) return null;
+    }
+    return circle;
+}
+
+/**
+ * Angle between two face normals in degrees (0 = parallel faces).
+ */
+export function angleBetweenNormals(n1, n2) {
+    const cos = THREE.MathUtils.clamp(n1.dot(n2) / (n1.length() * n2.length()), -1, 1);
+    return THREE.MathUtils.radToDeg(Math.acos(cos));
+}
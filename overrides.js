@@ -0,0 +1,149 @@
+/* ═══════════════════════════════════════════
+   overrides.js — Parameter values as OpenSCAD literals
+   Escaped -D overrides for the worker, and the checks the
+   parameter panel runs before a compile is started
+   ═══════════════════════════════════════════ */
+
+// Names a -D override may assign (the parser skips $special variables)
+const IDENTIFIER_RE = /^[A-Za-z_]\w*$/;
+
+// Slack when checking that a value lies on a slider step (float steps)
+const STEP_TOLERANCE = 1e-6;
+
+/* ─── Literals ─── */
+
+export function escapeString(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r');
+}
+
+/**
+ * Decode the body of an OpenSCAD string literal: \n \t \r, \x41
+ * (7-bit), \u00e9 and \U01f600; any other escaped character stands
+ * for itself.
+ */
+export function unescapeString(raw) {
+    return raw.replace(/\\(?:x([0-7][0-9a-fA-F])|u([0-9a-fA-F]{4})|U([0-9a-fA-F]{6})|(.))/gs, (match, x, u, U, c) => {
+        if (c !== undefined) return { n: '\n', t: '\t', r: '\r' }[c] ?? c;
+        const code = parseInt(x || u || U, 16);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    });
+}
+
+/**
+ * Format a parameter value as an OpenSCAD literal. The value must have
+ * passed typeError() — a NaN would be written as is.
+ */
+export function formatLiteral(p) {
+    switch (p.type) {
+        case 'bool': return p.value ? 'true' : 'false';
+        case 'string': return `"${escapeString(p.value)}"`;
+        case 'vector': return `[${p.value.join(', ')}]`;
+        default: return String(p.value);
+    }
+}
+
+/* ─── Validation ─── */
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * What keeps the value from being written as a literal of its type,
+ * or null. This is all the worker needs to build safe overrides.
+ */
+function typeError(p) {
+    if (!IDENTIFIER_RE.test(p.name)) return 'nome de parâmetro inválido';
+    switch (p.type) {
+        case 'number':
+            return isNumber(p.value) ? null : 'informe um número';
+        case 'bool':
+            return typeof p.value === 'boolean' ? null : 'use true ou false';
+        case 'string':
+            return typeof p.value === 'string' ? null : 'informe um texto';
+        case 'vector':
+            return Array.isArray(p.value) && p.value.length > 0 && p.value.every(isNumber)
+                ? null : 'informe um número em cada campo';
+        default:
+            return `tipo desconhecido "${p.type}"`;
+    }
+}
+
+function onStep(value, min, step) {
+    const k = (value - min) / step;
+    return Math.abs(k - Math.round(k)) < STEP_TOLERANCE;
+}
+
+/**
+ * Message for an invalid value of `p`, or null. Checks the type, then
+ * the limits of its widget comment: dropdown options, string length,
+ * min/max, and for sliders the step counted from min.
+ */
+export function validateParam(p) {
+    const error = typeError(p);
+    if (error) return error;
+
+    if (p.options && !p.options.some(o => String(o.value) === String(p.value))) {
+        return 'valor fora das opções';
+    }
+    if (p.type === 'string' && p.maxLength && p.value.length > p.maxLength) {
+        return `no máximo ${p.maxLength} caractere(s)`;
+    }
+
+    const numbers = p.type === 'number' ? [p.value] : p.type === 'vector' ? p.value : [];
+    for (const n of numbers) {
+        if (p.min != null && n < p.min) return `mínimo ${p.min}`;
+        if (p.max != null && n > p.max) return `máximo ${p.max}`;
+        if (p.step && p.min != null && !onStep(n, p.min, p.step)) {
+            return `use passos de ${p.step} a partir de ${p.min}`;
+        }
+    }
+    return null;
+}
+
+/* ─── -D flags ─── */
+
+/**
+ * Read a command-line override such as `size=30`, `center=true`,
+ * `label="M3"` or `offset=[1, 2, 0]` into { name, type, value }.
+ * Unquoted text that is no other literal is a string (the shell
+ * usually eats the quotes). Throws on a malformed override.
+ */
+export function parseOverride(text) {
+    const eq = text.indexOf('=');
+    const name = text.slice(0, eq).trim();
+    if (eq < 0 || !IDENTIFIER_RE.test(name)) throw new Error(`Override inválido "${text}": use nome=valor`);
+    const raw = text.slice(eq + 1).trim();
+
+    if (raw === 'true' || raw === 'false') return { name, type: 'bool', value: raw === 'true' };
+    if (raw !== '' && Number.isFinite(Number(raw))) return { name, type: 'number', value: Number(raw) };
+    if (raw.startsWith('[')) {
+        const m = raw.match(/^\[(.*)\]$/s);
+        const value = m ? m[1].split(',').map(Number) : [];
+        if (!m || !m[1].trim() || !value.every(Number.isFinite)) {
+            throw new Error(`Override inválido "${text}": vetores só de números, como [1, 2, 3]`);
+        }
+        return { name, type: 'vector', value };
+    }
+    const quoted = raw.match(/^"((?:[^"\\]|\\.)*)"$/s);
+    if (quoted) return { name, type: 'string', value: unescapeString(quoted[1]) };
+    return { name, type: 'string', value: raw };
+}
+
+/**
+ * -D arguments for parameter overrides ({ name, value, type }). Only
+ * the types are checked here — limits are the panel's job — and an
+ * invalid value throws instead of reaching the command line.
+ */
+export function buildDFlags(params) {
+    const args = [];
+    for (const p of params) {
+        const error = typeError(p);
+        if (error) throw new Error(`Parâmetro ${p.name}: ${error}`);
+        args.push('-D', `${p.name}=${formatLiteral(p)}`);
+    }
+    return args;
+}
@@ -0,0 +1,266 @@
+/* ═══════════════════════════════════════════
+   parameters.js — Customizer parameter parser
+   Finds the editable variables of a .scad source and writes new
+   values back into it, keeping everything else on the line
+   ═══════════════════════════════════════════ */
+
+import { formatLiteral, unescapeString } from './overrides.js';
+
+/*
+ * OpenSCAD Customizer-style variables (official grammar):
+ *
+ *   /* [Section Header] *\/  or  // [Section Header]
+ *   // Description on the line above
+ *   height = 10;           // [1:100]         → slider  min:1 max:100
+ *   width  = 20;           // [5:0.5:50]      → slider  min:5 step:0.5 max:50
+ *   depth  = 4;            // [10]            → slider  min:0 max:10
+ *   shape  = "round";      // [round, square] → dropdown
+ *   size   = 10;           // [10:Small, 20:Large] → labeled dropdown
+ *   show   = true;                             → checkbox toggle
+ *   name   = "test";       // 8               → text input (max length 8)
+ *   count  = 5;            // 0.5             → number input (step 0.5)
+ *   dims   = [10, 20, 5];  // [0:100]         → vector of number inputs
+ *   size   = 10;           // Description text → number with description
+ *
+ *   /* [Global] *\/  params are listed first; /* [Hidden] *\/ params are
+ *   parsed but not shown. Expressions and anything inside { } or after
+ *   the first module/function are not parameters.
+ */
+
+export const NUMBER_RE = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i;
+const NUMBER_SRC = NUMBER_RE.source.slice(1, -1);
+const VECTOR_RE = new RegExp(`^\\[\\s*(${NUMBER_SRC}(?:\\s*,\\s*${NUMBER_SRC}){0,3})\\s*\\]$`, 'i');
+const RANGE_RE = new RegExp(`^(${NUMBER_SRC})(?:\\s*:\\s*(${NUMBER_SRC}))?(?:\\s*:\\s*(${NUMBER_SRC}))?$`, 'i');
+
+/**
+ * Split `name = value; // comment` into its parts, honouring string
+ * literals (a ';' or '//' inside quotes does not end the value).
+ * Returns null when the line is not a single top-level assignment.
+ */
+function splitAssignment(line) {
+    const head = line.match(/^(\s*)(\$?\w+)(\s*=\s*)/);
+    if (!head) return null;
+
+    const valueStart = head[0].length;
+    let inString = false;
+    for (let i = valueStart; i < line.length; i++) {
+        const ch = line[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+        } else if (ch === '"') {
+            inString = true;
+        } else if (ch === ';') {
+            const rest = line.slice(i + 1);
+            const comment = rest.match(/^\s*(?:\/\/(.*))?$/);
+            if (!comment) return null; // more code after the ';'
+            return {
+                name: head[2],
+                value: line.slice(valueStart, i).trim(),
+                valueStart,
+                valueEnd: i,
+                comment: comment[1] !== undefined ? comment[1].trim() : '',
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Remove string literals and comments, leaving only code (for brace counting).
+ * `state.inBlock` carries an open block comment across lines.
+ */
+function stripToCode(line, state) {
+    let out = '';
+    for (let i = 0; i < line.length; i++) {
+        if (state.inBlock) {
+            if (line.startsWith('*/', i)) { state.inBlock = false; i++; }
+            continue;
+        }
+        if (line.startsWith('//', i)) break;
+        if (line.startsWith('/*', i)) { state.inBlock = true; i++; continue; }
+        if (line[i] === '"') {
+            for (i++; i < line.length && line[i] !== '"'; i++) if (line[i] === '\\') i++;
+            continue;
+        }
+        out += line[i];
+    }
+    return out;
+}
+
+/**
+ * Parse a literal value. Returns { type, value } or null for expressions.
+ */
+function parseLiteral(raw) {
+    if (raw === 'true' || raw === 'false') return { type: 'bool', value: raw === 'true' };
+    if (/^"(?:[^"\\]|\\.)*"$/.test(raw)) return { type: 'string', value: unescapeString(raw.slice(1, -1)) };
+    if (NUMBER_RE.test(raw)) return { type: 'number', value: parseFloat(raw) };
+    const vec = raw.match(VECTOR_RE);
+    if (vec) return { type: 'vector', value: vec[1].split(',').map(v => parseFloat(v)) };
+    return null;
+}
+
+/**
+ * Apply the trailing widget comment ([range], [options], step or
+ * max length) to `param`. Anything else becomes its description.
+ */
+function applyWidgetSpec(param, spec) {
+    const bracket = spec.match(/^\[(.*)\]$/);
+    if (bracket) {
+        const inner = bracket[1].trim();
+        const range = inner.match(RANGE_RE);
+
+        if (range && (param.type === 'number' || param.type === 'vector')) {
+            const nums = [range[1], range[2], range[3]].filter(v => v !== undefined).map(parseFloat);
+            if (nums.length === 1) {
+                // [max] shorthand
+                param.min = 0;
+                param.max = nums[0];
+            } else if (nums.length === 2) {
+                param.min = nums[0];
+                param.max = nums[1];
+            } else {
+                param.min = nums[0];
+                param.step = nums[1];
+                param.max = nums[2];
+            }
+            return;
+        }
+
+        if (param.type === 'number' || param.type === 'string') {
+            // Dropdown: [a, b, c] or labeled [10:Small, 20:Large]
+            param.options = inner.split(',').map(part => {
+                const colon = part.indexOf(':');
+                const rawValue = (colon === -1 ? part : part.slice(0, colon)).trim().replace(/^"|"$/g, '');
+                const label = (colon === -1 ? rawValue : part.slice(colon + 1).trim()).replace(/^"|"$/g, '');
+                const value = param.type === 'number' && NUMBER_RE.test(rawValue) ? parseFloat(rawValue) : rawValue;
+                return { value, label };
+            }).filter(o => o.value !== '');
+        }
+        return;
+    }
+
+    if (NUMBER_RE.test(spec)) {
+        // Spinbox step for numbers, max length for strings
+        if (param.type === 'number' || param.type === 'vector') param.step = parseFloat(spec);
+        else if (param.type === 'string') param.maxLength = parseInt(spec, 10);
+        return;
+    }
+
+    if (!param.description) param.description = spec;
+}
+
+/**
+ * Parse .scad source and extract customizer parameters.
+ * Returns the parameter list; `section` and `hidden` carry the grouping.
+ */
+export function parseParameters(source) {
+    const params = [];
+    const lines = source.split('\n');
+    const state = { inBlock: false };
+
+    let currentSection = null;
+    let depth = 0;              // { } nesting outside strings/comments
+    let pendingDescription = '';
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const wasInBlock = state.inBlock;
+        const code = stripToCode(lines[i], state);
+
+        if (depth === 0 && !wasInBlock) {
+            // Section header: /* [Section Name] */ or // [Section Name]
+            const sectionMatch = line.match(/^(?:\/\*\s*\[([^\]]+)\]\s*\*\/|\/\/\s*\[([^\]]+)\])\s*$/);
+            if (sectionMatch) {
+                currentSection = (sectionMatch[1] || sectionMatch[2]).trim();
+                pendingDescription = '';
+                continue;
+            }
+
+            // Stop parsing at the first module/function definition
+            if (/^(module|function)\s+/.test(line)) break;
+
+            // Description comment on the line above a variable
+            const descMatch = line.match(/^\/\/\s*(.*)$/);
+            if (descMatch) {
+                pendingDescription = descMatch[1].trim();
+                continue;
+            }
+        }
+
+        const assignment = depth === 0 && !wasInBlock ? splitAssignment(lines[i]) : null;
+        for (const ch of code) {
+            if (ch === '{') depth++;
+            else if (ch === '}') depth = Math.max(0, depth - 1);
+        }
+
+        const description = pendingDescription;
+        pendingDescription = '';
+        if (!assignment) continue;
+
+        // Skip internal/special variables
+        if (assignment.name.startsWith('$')) continue;
+
+        // Expressions are not user-editable
+        const literal = parseLiteral(assignment.value);
+        if (!literal) continue;
+
+        const section = currentSection && /^hidden$/i.test(currentSection) ? 'Hidden' : currentSection;
+        const param = {
+            name: assignment.name,
+            section,
+            hidden: section === 'Hidden',
+            line: i,
+            rawLine: lines[i],
+            comment: assignment.comment,
+            description,
+            type: literal.type,
+            value: literal.value,
+            options: null,     // for dropdowns: [{ value, label }]
+            min: null,
+            max: null,
+            step: null,
+            maxLength: null,   // for strings
+        };
+
+        if (assignment.comment) applyWidgetSpec(param, assignment.comment);
+
+        // A later assignment of the same name wins in OpenSCAD
+        const previous = params.findIndex(p => p.name === param.name);
+        if (previous !== -1) params.splice(previous, 1);
+
+        params.push(param);
+    }
+
+    return params;
+}
+
+/**
+ * Build the SCAD source with current parameter values replaced. Only
+ * the values that changed are rewritten; the rest of the file is
+ * left byte for byte.
+ */
+export function buildModifiedSource(originalSource, params) {
+    const lines = originalSource.split('\n');
+
+    for (const p of params) {
+        // An emptied number input would write NaN into the source
+        if (p.type === 'number' && !Number.isFinite(p.value)) continue;
+        if (p.type === 'vector' && !p.value.every(Number.isFinite)) continue;
+
+        // Replace only the value, keeping the name, spacing and comment
+        const original = lines[p.line];
+        const assignment = splitAssignment(original);
+        if (!assignment || assignment.name !== p.name) continue;
+
+        // An unchanged value keeps its spelling (1e3, 0.50, "\x41")
+        const literal = parseLiteral(assignment.value);
+        if (literal && String(literal.value) === String(p.value)) continue;
+
+        lines[p.line] = original.slice(0, assignment.valueStart) +
+            formatLiteral(p) +
+            original.slice(assignment.valueEnd);
+    }
+
+    return lines.join('\n');
+}
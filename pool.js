@@ -0,0 +1,186 @@
+/* ═══════════════════════════════════════════
+   pool.js — Compile worker pool
+   Every compile creates its own WASM instance, so jobs are
+   independent and can run side by side, one per worker
+   ═══════════════════════════════════════════ */
+
+export const PRIORITY = {
+    interactive: 0,     // Compilar / live mode: runs first, may preempt background jobs
+    background: 1,      // batch variants
+};
+
+// Each worker holds a full OpenSCAD instance (tens of MB while rendering)
+const MAX_WORKERS = 8;
+
+// Messages that end a job and free its worker
+const TERMINAL_TYPES = new Set(['result', 'error']);
+
+function defaultPoolSize() {
+    return Math.min(Math.max(navigator.hardwareConcurrency || 2, 1), MAX_WORKERS);
+}
+
+/**
+ * Pool of module workers running worker.js.
+ *
+ * run(message, { priority, timeout, onMessage }) queues a job and
+ * returns its id. The id travels as `jobId` in the request and in
+ * every reply, so late messages from a cancelled job are dropped.
+ * onMessage receives the worker's messages for that job, then a final
+ * 'result' or 'error' — or { type: 'timeout' } when `timeout` (ms)
+ * expires. cancel(id) drops a job silently.
+ *
+ * Library files downloaded by one worker are shared with the others
+ * and handed to replacement workers.
+ *
+ * A worker that fails (worker.js does not load, throws at module level)
+ * is dropped, and a new one is only started for the next job. Its job
+ * gets the error; failures with no job go to onError(message), once
+ * until a worker answers again.
+ */
+export function createWorkerPool({ url = 'worker.js', size = defaultPoolSize(), onError = () => { } } = {}) {
+    const slots = [];               // { worker, job } — worker is null after a failure, job when idle
+    const queue = [];               // waiting jobs, by priority then arrival
+    const libraryCache = new Map(); // libraryKey → files
+    let nextId = 1;
+    let errorReported = false;
+
+    /* ─── Workers ─── */
+
+    function startWorker(slot) {
+        const worker = new Worker(url, { type: 'module' });
+        slot.worker = worker;
+        worker.addEventListener('message', (e) => onWorkerMessage(slot, e.data));
+        worker.addEventListener('error', (err) => {
+            err.preventDefault();
+            if (slot.worker !== worker) return;
+            worker.terminate();
+            slot.worker = null;
+            const message = `Erro no worker: ${err.message}`;
+            if (slot.job) {
+                finish(slot, { type: 'error', message }, false);
+            } else if (!errorReported) {
+                errorReported = true;
+                onError(message);
+            }
+        });
+        worker.postMessage({ type: 'warm', libraries: libraryCache });
+    }
+
+    /**
+     * A running render cannot be interrupted from inside the worker,
+     * so cancelling means terminating it and starting a fresh one.
+     */
+    function replaceWorker(slot) {
+        slot.worker?.terminate();
+        startWorker(slot);
+    }
+
+    function onWorkerMessage(slot, msg) {
+        errorReported = false;
+        if (msg.type === 'library-cache') {
+            libraryCache.set(msg.key, msg.files);
+            for (const other of slots) {
+                if (other !== slot) other.worker?.postMessage({ type: 'warm', libraries: [[msg.key, msg.files]] });
+            }
+            return;
+        }
+
+        const job = slot.job;
+        if (!job || msg.jobId !== job.id) return;
+        if (TERMINAL_TYPES.has(msg.type)) finish(slot, msg, false);
+        else job.onMessage(msg);
+    }
+
+    function finish(slot, msg, replace) {
+        const job = slot.job;
+        slot.job = null;
+        if (job) clearTimeout(job.timer);
+        if (replace) replaceWorker(slot);
+        if (job) job.onMessage(msg);
+        dispatch();
+    }
+
+    /* ─── Queue ─── */
+
+    function enqueue(job, ahead = false) {
+        let idx = queue.findIndex(q => ahead ? q.priority >= job.priority : q.priority > job.priority);
+        if (idx === -1) idx = queue.length;
+        queue.splice(idx, 0, job);
+    }
+
+    /**
+     * Free a worker for a waiting interactive job by sending the most
+     * recently started background job back to the queue.
+     */
+    function preempt() {
+        if (queue[0]?.priority !== PRIORITY.interactive) return null;
+        const victim = slots
+            .filter(s => s.job && s.job.priority > PRIORITY.interactive)
+            .sort((a, b) => b.job.startedAt - a.job.startedAt)[0];
+        if (!victim) return null;
+
+        const job = victim.job;
+        clearTimeout(job.timer);
+        victim.job = null;
+        replaceWorker(victim);
+        enqueue(job, true);
+        return victim;
+    }
+
+    function dispatch() {
+        while (queue.length) {
+            let slot = slots.find(s => !s.job && s.worker) || slots.find(s => !s.job);
+            if (!slot && slots.length < size) {
+                slot = { worker: null, job: null };
+                slots.push(slot);
+            }
+            if (!slot) slot = preempt();
+            if (!slot) return;
+            if (!slot.worker) startWorker(slot);
+
+            const job = queue.shift();
+            slot.job = job;
+            job.startedAt = performance.now();
+            if (job.timeout > 0) {
+                job.timer = setTimeout(() => {
+                    if (slot.job === job) finish(slot, { type: 'timeout' }, true);
+                }, job.timeout);
+            }
+            slot.worker.postMessage({ ...job.message, jobId: job.id });
+        }
+    }
+
+    /* ─── API ─── */
+
+    function run(message, { priority = PRIORITY.interactive, timeout = 0, onMessage = () => { } } = {}) {
+        const job = { id: nextId++, message, priority, timeout, onMessage, timer: null, startedAt: 0 };
+        enqueue(job);
+        dispatch();
+        return job.id;
+    }
+
+    function cancel(id) {
+        const queued = queue.findIndex(j => j.id === id);
+        if (queued !== -1) {
+            queue.splice(queued, 1);
+            return true;
+        }
+        const slot = slots.find(s => s.job?.id === id);
+        if (!slot) return false;
+        clearTimeout(slot.job.timer);
+        slot.job = null;
+        replaceWorker(slot);
+        dispatch();
+        return true;
+    }
+
+    /**
+     * Drop a library from every cache (its ref changed or it was removed).
+     */
+    function forgetLibrary(key) {
+        libraryCache.delete(key);
+        for (const slot of slots) slot.worker?.postMessage({ type: 'forget', key });
+    }
+
+    return { run, cancel, forgetLibrary, size };
+}
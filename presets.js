@@ -0,0 +1,126 @@
+/* ═══════════════════════════════════════════
+   presets.js — Named parameter sets
+   Same JSON file the OpenSCAD Customizer reads and writes:
+     { "parameterSets": { "<name>": { "<param>": "<value>" } },
+       "fileFormatVersion": "1" }
+   ═══════════════════════════════════════════ */
+
+const PRESETS_KEY = 'scadweb.presets';
+const FILE_FORMAT_VERSION = '1';
+
+/* ─── Values (the desktop app stores everything as strings) ─── */
+
+/**
+ * Current value of `p` as a parameter-set string.
+ */
+export function formatSetValue(p) {
+    if (p.type === 'vector') return `[${p.value.join(', ')}]`;
+    return String(p.value);
+}
+
+/**
+ * Convert a parameter-set value to the type of `p`.
+ * Returns undefined when it does not fit.
+ */
+export function parseSetValue(p, raw) {
+    switch (p.type) {
+        case 'number': {
+            const n = typeof raw === 'number' ? raw : parseFloat(raw);
+            return Number.isFinite(n) ? n : undefined;
+        }
+        case 'bool':
+            if (raw === true || raw === 'true') return true;
+            if (raw === false || raw === 'false') return false;
+            return undefined;
+        case 'vector': {
+            let list = raw;
+            if (typeof raw === 'string') {
+                const m = raw.trim().match(/^\[(.*)\]$/s);
+                if (!m) return undefined;
+                list = m[1].split(',').map(s => parseFloat(s));
+            }
+            if (!Array.isArray(list) || !list.length || !list.every(Number.isFinite)) return undefined;
+            return list;
+        }
+        default:
+            return raw == null ? undefined : String(raw);
+    }
+}
+
+/* ─── Sets ─── */
+
+/**
+ * Snapshot of the visible parameters as a parameter set.
+ */
+export function captureParameterSet(params) {
+    const set = {};
+    for (const p of params) {
+        if (!p.hidden) set[p.name] = formatSetValue(p);
+    }
+    return set;
+}
+
+/**
+ * Write the values of `set` into `params` (in place).
+ * Returns the names that were applied and the ones that were skipped.
+ */
+export function applyParameterSet(params, set) {
+    const applied = [];
+    const skipped = [];
+    for (const [name, raw] of Object.entries(set)) {
+        const p = params.find(q => q.name === name && !q.hidden);
+        const value = p ? parseSetValue(p, raw) : undefined;
+        if (value === undefined) { skipped.push(name); continue; }
+        p.value = value;
+        applied.push(name);
+    }
+    return { applied, skipped };
+}
+
+/* ─── JSON file ─── */
+
+/**
+ * Parse a Customizer .json file into { name: set }.
+ */
+export function parseParameterSetFile(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        throw new Error('JSON inválido');
+    }
+    const sets = json?.parameterSets;
+    if (!sets || typeof sets !== 'object' || Array.isArray(sets)) {
+        throw new Error('o arquivo não contém "parameterSets"');
+    }
+    const result = {};
+    for (const [name, set] of Object.entries(sets)) {
+        if (set && typeof set === 'object' && !Array.isArray(set)) result[name] = set;
+    }
+    return result;
+}
+
+export function serializeParameterSetFile(sets) {
+    return JSON.stringify({ parameterSets: sets, fileFormatVersion: FILE_FORMAT_VERSION }, null, 4) + '\n';
+}
+
+/* ─── Persistence (localStorage, keyed by main file) ─── */
+
+function readAll() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+export function loadPresets(file) {
+    return readAll()[file] || {};
+}
+
+export function savePresets(file, sets) {
+    const all = readAll();
+    if (Object.keys(sets).length) all[file] = sets;
+    else delete all[file];
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(all));
+}
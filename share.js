@@ -0,0 +1,108 @@
+/* ═══════════════════════════════════════════
+   share.js — Permalinks and project bundles
+   Small projects travel in the URL hash (deflate + base64url);
+   larger ones as a .zip with a scadweb.json manifest
+   ═══════════════════════════════════════════ */
+
+export const SHARE_HASH_PREFIX = '#s=';
+export const BUNDLE_MANIFEST = 'scadweb.json';
+
+// Longer links get mangled by chat apps and e-mail clients
+export const MAX_PERMALINK_LENGTH = 8000;
+
+const SHARE_VERSION = 1;
+
+/**
+ * Shared state:
+ *   { v, main, files: { path: text } (permalink only),
+ *     params: { name: "value" }, camera: { position: [x,y,z], target: [x,y,z] },
+ *     format, quality }
+ */
+
+/* ─── base64url ─── */
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/* ─── Permalink ─── */
+
+/**
+ * Hash fragment (including "#s=") for `state`.
+ */
+export async function encodeShareHash(state) {
+    const { deflateSync } = await import('fflate');
+    const json = JSON.stringify({ v: SHARE_VERSION, ...state });
+    return SHARE_HASH_PREFIX + toBase64Url(deflateSync(new TextEncoder().encode(json), { level: 9 }));
+}
+
+/**
+ * State from a location hash, or null when the hash is not a permalink.
+ * Throws on a damaged link.
+ */
+export async function decodeShareHash(hash) {
+    if (!hash.startsWith(SHARE_HASH_PREFIX)) return null;
+    const { inflateSync } = await import('fflate');
+    let state;
+    try {
+        state = JSON.parse(new TextDecoder().decode(inflateSync(fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length)))));
+    } catch {
+        throw new Error('link corrompido ou incompleto');
+    }
+    if (!state || typeof state.files !== 'object' || !state.main) throw new Error('link sem modelo');
+    if (state.v > SHARE_VERSION) throw new Error('link criado por uma versão mais nova do app');
+    return state;
+}
+
+/**
+ * Permalink to `base` for the project `files` (Map path → bytes), or
+ * null when the project must travel as a bundle instead: it has
+ * non-.scad files or the link would exceed MAX_PERMALINK_LENGTH.
+ */
+export async function buildPermalink(base, files, state) {
+    const paths = [...files.keys()];
+    if (!paths.every(p => p.toLowerCase().endsWith('.scad'))) return null;
+    const texts = {};
+    for (const path of paths) texts[path] = new TextDecoder().decode(files.get(path));
+    const url = base.split('#')[0] + await encodeShareHash({ ...state, files: texts });
+    return url.length > MAX_PERMALINK_LENGTH ? null : url;
+}
+
+/* ─── Bundle ─── */
+
+/**
+ * Zip with every project file plus the manifest (state without `files`).
+ */
+export async function buildBundle(files, state) {
+    const { zipSync, strToU8 } = await import('fflate');
+    const entries = Object.fromEntries(files);
+    entries[BUNDLE_MANIFEST] = strToU8(JSON.stringify({ v: SHARE_VERSION, ...state }, null, 2));
+    return zipSync(entries, { level: 6 });
+}
+
+/**
+ * Remove and parse the bundle manifest from an uploaded project.
+ * Returns null for ordinary projects.
+ */
+export function takeBundleManifest(files) {
+    const bytes = files.get(BUNDLE_MANIFEST);
+    if (!bytes) return null;
+    files.delete(BUNDLE_MANIFEST);
+    try {
+        const state = JSON.parse(new TextDecoder().decode(bytes));
+        return state && typeof state === 'object' ? state : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,87 @@
+/* ═══════════════════════════════════════════
+   storage.js — IndexedDB helpers
+   Shared by app.js (main thread) and worker.js
+   ═══════════════════════════════════════════ */
+
+const DB_NAME = 'scadweb';
+const DB_VERSION = 3;
+
+// Store name → its indexes (name → key path in the stored value)
+const STORES = {
+    libraries: {},
+    history: { project: ['projectId', 'file'] },
+    'history-output': {},
+};
+
+let dbPromise = null;
+
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (e) => {
+                const db = req.result;
+                // v2 history entries held their output inline and had no
+                // project id, so they cannot be attributed to a project
+                if (e.oldVersion < 3 && db.objectStoreNames.contains('history')) db.deleteObjectStore('history');
+                for (const [name, indexes] of Object.entries(STORES)) {
+                    const store = db.objectStoreNames.contains(name)
+                        ? req.transaction.objectStore(name)
+                        : db.createObjectStore(name);
+                    for (const [index, keyPath] of Object.entries(indexes)) {
+                        if (!store.indexNames.contains(index)) store.createIndex(index, keyPath);
+                    }
+                }
+            };
+            // Another tab still has the previous version open
+            req.onblocked = () => {
+                dbPromise = null;
+                reject(new Error('o armazenamento local está em uso por outra aba com uma versão anterior do app; feche-a e recarregue esta página'));
+            };
+            req.onsuccess = () => {
+                const db = req.result;
+                // Let a newer version in another tab upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            req.onerror = () => reject(req.error);
+        });
+    }
+    return dbPromise;
+}
+
+function request(store, mode, fn) {
+    return openDB().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(store, mode);
+        const req = fn(tx.objectStore(store));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+export function idbGet(store, key) {
+    return request(store, 'readonly', s => s.get(key));
+}
+
+export function idbGetAll(store) {
+    return request(store, 'readonly', s => s.getAll());
+}
+
+/**
+ * Values whose `index` matches `key`, without reading the rest of the store.
+ */
+export function idbGetAllByIndex(store, index, key) {
+    return request(store, 'readonly', s => s.index(index).getAll(key));
+}
+
+export function idbPut(store, key, value) {
+    return request(store, 'readwrite', s => s.put(value, key));
+}
+
+export function idbDelete(store, key) {
+    return request(store, 'readwrite', s => s.delete(key));
+}
@@ -0,0 +1,176 @@
+/* ═══════════════════════════════════════════
+   sw.js — Service Worker
+   Offline cache for the app shell and CDN assets
+   (OpenSCAD WASM, Three.js, fonts); libraries live in IndexedDB
+   ═══════════════════════════════════════════ */
+
+// Bump when the app shell changes; versioned CDN assets are keyed by
+// their own URLs (openscad-wasm@0.0.4, three@0.170.0).
+const SHELL_CACHE = 'scadweb-shell-v25';
+const CDN_CACHE = 'scadweb-cdn-v2'; // v1 also held library files
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'analysis-worker.js',
+    'analysis.js',
+    'app.js',
+    'batch.js',
+    'compiler.js',
+    'csg.js',
+    'diff.js',
+    'editor.js',
+    'history.js',
+    'libraries.js',
+    'measure.js',
+    'overrides.js',
+    'parameters.js',
+    'pool.js',
+    'presets.js',
+    'share.js',
+    'storage.js',
+    'worker.js',
+];
+
+const CDN_HOSTS = [
+    'cdn.jsdelivr.net',
+    'data.jsdelivr.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+];
+
+// The stylesheet <link> has no crossorigin attribute, so the page gets
+// an opaque response for it; that is still a usable stylesheet.
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const FONTS_CSS = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap';
+
+// Modules the page and the workers import (importmap in index.html,
+// worker.js). Fetched on install: anything requested before the worker
+// controls the page never goes through it. openscad.js embeds the WASM.
+const THREE = 'https://cdn.jsdelivr.net/npm/three@0.170.0/';
+const CDN_PRECACHE = [
+    'https://cdn.jsdelivr.net/npm/openscad-wasm@0.0.4/openscad.js',
+    'https://cdn.jsdelivr.net/npm/fflate@0.8.2/esm/browser.js',
+    THREE + 'build/three.module.min.js',
+    THREE + 'examples/jsm/controls/OrbitControls.js',
+    THREE + 'examples/jsm/controls/TransformControls.js',
+    THREE + 'examples/jsm/helpers/ViewHelper.js',
+    THREE + 'examples/jsm/loaders/AMFLoader.js',
+    THREE + 'examples/jsm/loaders/STLLoader.js',
+    THREE + 'examples/jsm/loaders/SVGLoader.js',
+    THREE + 'examples/jsm/utils/BufferGeometryUtils.js',
+];
+
+// Air-gapped machines: mirror CDN files under vendor/<host>/<path>
+// next to index.html; they are used whenever the network fails.
+const LOCAL_ASSET_BASE = new URL('vendor/', self.registration.scope);
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(precacheCdn)
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Fill the CDN cache with the modules and fonts the app needs offline.
+ * Best effort: a CDN hiccup must not block installing the shell, and
+ * the runtime cache picks up whatever is missing later.
+ */
+async function precacheCdn() {
+    const cache = await caches.open(CDN_CACHE);
+    const missing = [];
+    for (const url of CDN_PRECACHE) {
+        if (!await cache.match(url)) missing.push(url);
+    }
+    await Promise.allSettled(missing.map(url => cache.add(url)));
+
+    // The font files are only known from the stylesheet
+    try {
+        const css = await fetch(FONTS_CSS);
+        if (!css.ok) return;
+        const text = await css.clone().text();
+        await cache.put(FONTS_CSS, css);
+        const fonts = [...text.matchAll(/url\((https:[^)]+)\)/g)].map(m => m[1]);
+        await Promise.allSettled(fonts.map(url => cache.add(url)));
+    } catch { }
+}
+
+self.addEventListener('activate', (e) => {
+    e.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(k => k.startsWith('scadweb-') && k !== SHELL_CACHE && k !== CDN_CACHE)
+                .map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (e) => {
+    const { request } = e;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (CDN_HOSTS.includes(url.hostname)) {
+        e.respondWith(isLibraryUrl(url) ? fromNetwork(request, url) : cacheFirst(request, url));
+    } else if (url.origin === self.location.origin) {
+        e.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Library files and listings (jsDelivr's GitHub mirror). worker.js
+ * keeps these trees in IndexedDB and decides when a branch is
+ * downloaded again, so they are never cached here as well.
+ */
+function isLibraryUrl(url) {
+    return url.hostname === 'data.jsdelivr.com' || url.pathname.startsWith('/gh/');
+}
+
+function isCacheable(response, url) {
+    return response.ok || (response.type === 'opaque' && FONT_HOSTS.includes(url.hostname));
+}
+
+/**
+ * Network, then the local vendor/ mirror.
+ */
+async function fromNetwork(request, url) {
+    try {
+        return await fetch(request);
+    } catch (err) {
+        const local = await fetch(new URL(url.hostname + url.pathname, LOCAL_ASSET_BASE));
+        if (!local.ok) throw err;
+        return local;
+    }
+}
+
+/**
+ * Versioned CDN assets never change, so the cache wins.
+ */
+async function cacheFirst(request, url) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fromNetwork(request, url);
+    if (isCacheable(response, url)) await cache.put(request, response.clone());
+    return response;
+}
+
+/**
+ * App shell: prefer fresh files, fall back to the cached copy offline.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw err;
+    }
+}
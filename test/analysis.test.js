@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeMesh, FACE_OVERHANG, FACE_THIN, FACE_FLIPPED } from '../analysis.js';
+import { box, join } from './helpers/meshes.js';
+
+const flagged = (flags, bit) => [...flags.keys()].filter(t => flags[t] & bit);
+
+// Swap two corners of triangle `t`, turning it over
+function reverse(mesh, t) {
+    const b = mesh.slice(t * 9 + 3, t * 9 + 6);
+    mesh.copyWithin(t * 9 + 3, t * 9 + 6, t * 9 + 9);
+    mesh.set(b, t * 9 + 6);
+}
+
+/* ─── Topology ─── */
+
+test('a closed box on the bed is ready to print', () => {
+    const report = analyzeMesh(box([0, 0, 0], [10, 10, 10]));
+    assert.equal(report.triangles, 12);
+    assert.equal(report.vertices, 8);
+    assert.equal(report.shells, 1);
+    assert.equal(report.openEdges, 0);
+    assert.equal(report.nonManifoldEdges, 0);
+    assert.equal(report.flippedFaces, 0);
+    assert.equal(report.degenerateFaces, 0);
+    assert.equal(report.overhangFaces, 0);
+    assert.equal(report.thinFaces, 0);
+    assert.equal(report.minThickness, null);
+    assert.equal(report.problemEdges.length, 0);
+});
+
+test('a missing face leaves open edges', () => {
+    const open = box([0, 0, 0], [10, 10, 10]).slice(2 * 9 * 2);  // without bottom and top
+    const report = analyzeMesh(open);
+    assert.equal(report.openEdges, 8);
+    assert.equal(report.problemEdges.length, 8 * 6);
+});
+
+test('boxes touching along an edge are non-manifold', () => {
+    const report = analyzeMesh(join(box([0, 0, 0], [10, 10, 10]), box([10, 10, 0], [20, 20, 10])));
+    assert.equal(report.nonManifoldEdges, 1);
+    assert.equal(report.openEdges, 0);
+    assert.deepEqual([...report.problemEdges].sort((a, b) => a - b), [0, 10, 10, 10, 10, 10]);
+});
+
+test('separate objects are separate shells', () => {
+    const report = analyzeMesh(join(box([0, 0, 0], [10, 10, 10]), box([20, 0, 0], [30, 10, 10])));
+    assert.equal(report.shells, 2);
+    assert.equal(report.vertices, 16);
+});
+
+test('a face wound against its neighbours is flipped', () => {
+    const mesh = box([0, 0, 0], [10, 10, 10]);
+    reverse(mesh, 2);
+    const report = analyzeMesh(mesh);
+    assert.equal(report.flippedFaces, 1);
+    assert.deepEqual(flagged(report.flags, FACE_FLIPPED), [2]);
+});
+
+test('a box turned inside out is flipped as a whole', () => {
+    const mesh = box([0, 0, 0], [10, 10, 10]);
+    for (let t = 0; t < 12; t++) reverse(mesh, t);
+    assert.equal(analyzeMesh(mesh).flippedFaces, 12);
+});
+
+/* ─── Overhangs and walls ─── */
+
+test('downward faces off the bed are overhangs', () => {
+    // The lowest point of the model is the bed
+    assert.equal(analyzeMesh(box([0, 0, 5], [10, 10, 15])).overhangFaces, 0);
+
+    const report = analyzeMesh(join(box([0, 0, 0], [2, 2, 5]), box([0, 0, 5], [10, 10, 15])));
+    assert.deepEqual(flagged(report.flags, FACE_OVERHANG), [12, 13]);
+    assert.equal(report.overhangArea, 100);
+});
+
+test('the overhang angle decides how steep a face may be', () => {
+    // Underside tilted 30° from horizontal: 60° past vertical
+    const slope = Float32Array.from([0, 0, 0, 0, 10, 0, 10, 0, 10 * Math.tan(Math.PI / 6)]);
+    assert.equal(analyzeMesh(slope, { overhangAngle: 45, minWall: 0 }).overhangFaces, 1);
+    assert.equal(analyzeMesh(slope, { overhangAngle: 70, minWall: 0 }).overhangFaces, 0);
+});
+
+test('walls thinner than the minimum are flagged with their thickness', () => {
+    const report = analyzeMesh(box([0, 0, 0], [10, 10, 0.5]));
+    assert.deepEqual(flagged(report.flags, FACE_THIN), [0, 1, 2, 3]);
+    assert.ok(Math.abs(report.minThickness - 0.5) < 1e-6);
+    assert.ok(Math.abs(report.thickness[2] - 0.5) < 1e-6);
+    assert.equal(report.thickness[4], Infinity);
+
+    assert.equal(analyzeMesh(box([0, 0, 0], [10, 10, 0.5]), { minWall: 0.4 }).thinFaces, 0);
+    assert.equal(analyzeMesh(box([0, 0, 0], [10, 10, 0.5]), { minWall: 0 }).thinFaces, 0);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVariantValues, expandMatrix, variantStems, dedupeNames } from '../batch.js';
+
+test('lists and ranges of values', () => {
+    assert.deepEqual(parseVariantValues({ name: 'w', type: 'number' }, '10:5:20'), [10, 15, 20]);
+    assert.deepEqual(parseVariantValues({ name: 's', type: 'string' }, 'a, "b, c"'), ['a', 'b, c']);
+    assert.throws(() => parseVariantValues({ name: 'w', type: 'number' }, 'x'), /w: "x" não é um número/);
+});
+
+test('ranges take the precision of their start and step', () => {
+    const n = { name: 'w', type: 'number' };
+    assert.deepEqual(parseVariantValues(n, '0:0.1:0.3'), [0, 0.1, 0.2, 0.3]);
+    assert.deepEqual(parseVariantValues(n, '0:1e-7:3e-7'), [0, 1e-7, 2e-7, 3e-7]);
+    assert.deepEqual(parseVariantValues(n, '0.05 : 0.1 : 0.3'), [0.05, 0.15, 0.25]);
+    assert.deepEqual(parseVariantValues(n, '-1:0'), [-1, 0]);
+});
+
+test('malformed ranges are rejected instead of misread', () => {
+    const n = { name: 'w', type: 'number' };
+    for (const text of ['1.2.3:5', '1:0:5', '5:1', '1:2:3:4', 'a:5', '1::5']) {
+        assert.throws(() => parseVariantValues(n, text), /w: intervalo inválido/, text);
+    }
+    assert.throws(() => parseVariantValues(n, '0:1e-20:1e-19'), /passo pequeno demais/);
+});
+
+test('one stem per combination, named after its values', () => {
+    const combos = expandMatrix([{ name: 'len', values: [40] }, { name: 'dims', values: [[1, 2]] }]);
+    assert.deepEqual(variantStems('bracket', combos), ['bracket_len-40_dims-1x2']);
+});
+
+test('values that sanitize to the same stem do not overwrite each other', () => {
+    const combos = expandMatrix([{ name: 'label', values: ['a b', 'a/b', 'a?b', 'A B'] }]);
+    assert.deepEqual(variantStems('m', combos), ['m_label-a_b', 'm_label-a_b_2', 'm_label-a_b_3', 'm_label-A_B_4']);
+});
+
+test('a suffix never lands on a name already taken', () => {
+    assert.deepEqual(dedupeNames(['x_2', 'x', 'x']), ['x_2', 'x', 'x_3']);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDiagnostic, compile } from '../compiler.js';
+import { createOpenSCAD } from './helpers/fake-openscad.js';
+
+/* ─── Console lines ─── */
+
+test('diagnostics with a location', () => {
+    assert.deepEqual(parseDiagnostic('ERROR: Parser error in file "/input.scad", line 3: syntax error'),
+        { severity: 'error', message: 'Parser error: syntax error', file: 'input.scad', line: 3 });
+    assert.deepEqual(parseDiagnostic("WARNING: Ignoring unknown variable 'x' in file ../parts/a.scad, line 5"),
+        { severity: 'warning', message: "Ignoring unknown variable 'x'", file: 'parts/a.scad', line: 5 });
+    assert.deepEqual(parseDiagnostic("TRACE: called by 'foo' in file /input.scad, line 10"),
+        { severity: 'trace', message: "called by 'foo'", file: 'input.scad', line: 10 });
+});
+
+test('diagnostics without a location, and other lines', () => {
+    assert.deepEqual(parseDiagnostic('DEPRECATED: assign() is deprecated'),
+        { severity: 'warning', message: 'assign() is deprecated', file: null, line: null });
+    assert.equal(parseDiagnostic('ECHO: 3'), null);
+    assert.equal(parseDiagnostic('Rendering Polygon Mesh using CGAL...'), null);
+});
+
+/* ─── Pipeline ─── */
+
+function fakeHost() {
+    const host = { logs: [], diagnostics: [] };
+    return Object.assign(host, {
+        loadFactory: async () => createOpenSCAD,
+        loadLibrary: async (lib) => { throw new Error(`no network: ${lib.name}`); },
+        log: (text, level = 'info') => host.logs.push({ text, level }),
+        diagnostic: d => host.diagnostics.push(d),
+    });
+}
+
+const args = out => JSON.parse(new TextDecoder().decode(out.data)).args;
+
+test('a parameter set goes to OpenSCAD as -p / -P, minus the overridden names', async () => {
+    const out = await compile({
+        source: 'cube(size);',
+        params: [{ name: 'size', type: 'number', value: 3 }],
+        parameterSet: { name: 'big one', values: { size: '20', label: 'x' } },
+    }, fakeHost());
+
+    assert.deepEqual(args(out).slice(3), ['-p', '/.scadweb-params.json', '-P', 'big one', '-D', 'size=3']);
+});
+
+test('an unknown format is rejected before OpenSCAD runs', async () => {
+    await assert.rejects(compile({ source: 'cube(1);', format: 'obj' }, fakeHost()), /Formato de saída desconhecido: obj/);
+});
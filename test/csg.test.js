@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsg, splitParts, modifierSources, colorHex, MAX_PARTS } from '../csg.js';
+
+const MOVE = 'multmatrix([[1, 0, 0, 5], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]])';
+const RED = 'color([1, 0, 0, 1])';
+const BLUE = 'color([0, 0, 1, 1])';
+
+/* ─── Parser ─── */
+
+test('nodes keep their modifier, arguments and source', () => {
+    const [node] = parseCsg(`#${MOVE} {\n\tcube(size = [1, 1, 1], center = false);\n}\n`);
+    assert.equal(node.modifier, '#');
+    assert.equal(node.name, 'multmatrix');
+    assert.equal(node.args, '[[1, 0, 0, 5], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]]');
+    assert.equal(node.children.length, 1);
+    assert.equal(node.children[0].children, null);
+    assert.equal(node.children[0].source, 'cube(size = [1, 1, 1], center = false);');
+    assert.ok(node.source.startsWith('#multmatrix('));
+    assert.ok(node.source.endsWith('}'));
+});
+
+test('parentheses inside strings do not end the arguments', () => {
+    const [node] = parseCsg('text(text = "a) \\" (b", size = 10);');
+    assert.equal(node.name, 'text');
+    assert.equal(node.args, 'text = "a) \\" (b", size = 10');
+});
+
+test('malformed CSG throws', () => {
+    for (const text of ['cube(1)', 'group() {', 'cube(1;', '}', '42;']) {
+        assert.throws(() => parseCsg(text), /CSG inválido/, text);
+    }
+});
+
+/* ─── Parts ─── */
+
+test('top-level objects are parts, inside the root group', () => {
+    const parts = splitParts(`group() {\n${RED} {\n\tcube(size = [1, 1, 1]);\n}\n${BLUE} {\n\tsphere(r = 1);\n}\n}\n`);
+    assert.deepEqual(parts.map(p => p.label), ['cube', 'sphere']);
+    assert.deepEqual(parts.map(p => colorHex(p.color)), ['#ff0000', '#0000ff']);
+    assert.ok(parts[1].source.includes('sphere(r = 1);'));
+    assert.ok(!parts[1].source.includes('cube'));
+});
+
+test('objects mixing colors are opened, keeping their transforms', () => {
+    const parts = splitParts(`${MOVE} {\n${RED} {\n\tcube(size = 1);\n}\n${BLUE} {\n\tsphere(r = 1);\n}\n}\n`);
+    assert.equal(parts.length, 2);
+    for (const part of parts) assert.ok(part.source.startsWith(`${MOVE} {\n`), part.source);
+    assert.deepEqual(parts.map(p => colorHex(p.color)), ['#ff0000', '#0000ff']);
+});
+
+test('difference() and intersection() take their outermost color', () => {
+    const parts = splitParts(`difference() {\n${RED} {\n\tcube(size = 2);\n}\n${BLUE} {\n\tsphere(r = 1);\n}\n}\n`);
+    assert.equal(parts.length, 1);
+    assert.equal(parts[0].label, 'difference');
+    assert.equal(colorHex(parts[0].color), '#ff0000');
+});
+
+test('background, disabled and empty objects are not parts', () => {
+    const parts = splitParts('%cube(size = 1);\n*sphere(r = 1);\ngroup();\ncylinder(h = 1, r = 1);\n');
+    assert.deepEqual(parts.map(p => p.label), ['cylinder']);
+    assert.equal(parts[0].color, null);
+});
+
+test('unresolved colors are ignored', () => {
+    const parts = splitParts('color([-1, -1, -1, 1]) {\n\tcube(size = 1);\n}\n');
+    assert.equal(parts[0].color, null);
+    assert.equal(parts[0].label, 'cube');
+});
+
+test('too many parts give up', () => {
+    const cubes = n => Array.from({ length: n }, () => 'cube(size = 1);').join('\n');
+    assert.equal(splitParts(cubes(MAX_PARTS)).length, MAX_PARTS);
+    assert.equal(splitParts(cubes(MAX_PARTS + 1)), null);
+});
+
+/* ─── Debug modifiers ─── */
+
+test('highlighted and background objects keep the transforms above them', () => {
+    const debug = modifierSources(`difference() {\n\tcube(size = 3);\n\t${MOVE} {\n\t\t#sphere(r = 1);\n\t}\n\t%cylinder(h = 1, r = 1);\n}\n`);
+    assert.deepEqual(debug.count, { highlight: 1, background: 1 });
+    assert.equal(debug.highlight, `${MOVE} {\nsphere(r = 1);\n}`);
+    assert.equal(debug.background, 'cylinder(h = 1, r = 1);');
+});
+
+test('objects nested in a highlighted one are not repeated', () => {
+    const debug = modifierSources('#group() {\n\t#cube(size = 1);\n\t%sphere(r = 1);\n}\n');
+    assert.deepEqual(debug.count, { highlight: 1, background: 1 });
+    assert.ok(debug.highlight.startsWith('group() {'));
+    assert.equal(debug.background, 'sphere(r = 1);');
+});
+
+test('no modifiers, no overlays', () => {
+    assert.deepEqual(modifierSources('cube(size = 1);\n'), {
+        highlight: null,
+        background: null,
+        count: { highlight: 0, background: 0 },
+    });
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffMeshes, DIFF_ADDED, DIFF_REMOVED } from '../diff.js';
+import { box } from './helpers/meshes.js';
+
+const TOP = [2, 3];     // triangles of the top face in box()
+const flagged = (flags, bit) => [...flags.keys()].filter(t => flags[t] & bit);
+
+test('identical models have no differences', () => {
+    const diff = diffMeshes(box([0, 0, 0], [10, 10, 10]), box([0, 0, 0], [10, 10, 10]));
+    assert.deepEqual(flagged(diff.current, DIFF_ADDED | DIFF_REMOVED), []);
+    assert.deepEqual(flagged(diff.reference, DIFF_REMOVED), []);
+    assert.equal(diff.addedArea, 0);
+    assert.equal(diff.removedArea, 0);
+});
+
+test('material on top of the reference is added', () => {
+    const diff = diffMeshes(box([0, 0, 0], [10, 10, 20]), box([0, 0, 0], [10, 10, 10]));
+    assert.ok(TOP.every(t => diff.current[t] === DIFF_ADDED));
+    assert.deepEqual(flagged(diff.current, DIFF_REMOVED), []);
+    assert.ok(diff.addedArea >= 100);
+    assert.deepEqual(flagged(diff.reference, DIFF_REMOVED), []);
+    assert.equal(diff.removedArea, 0);
+});
+
+test('material cut from the reference is removed', () => {
+    const diff = diffMeshes(box([0, 0, 0], [10, 10, 10]), box([0, 0, 0], [10, 10, 20]));
+    // The new top is where material was cut away
+    assert.ok(TOP.every(t => diff.current[t] === DIFF_REMOVED));
+    assert.equal(diff.addedArea, 0);
+    assert.ok(TOP.every(t => diff.reference[t] === DIFF_REMOVED));
+    assert.ok(diff.removedArea >= 100);
+});
+
+test('a moved model adds on one side and removes on the other', () => {
+    const diff = diffMeshes(box([5, 0, 0], [15, 10, 10]), box([0, 0, 0], [10, 10, 10]));
+    const MINUS_X = [8, 9], PLUS_X = [10, 11];
+    assert.ok(PLUS_X.every(t => diff.current[t] === DIFF_ADDED));
+    assert.ok(MINUS_X.every(t => diff.current[t] === DIFF_REMOVED));
+    assert.ok(MINUS_X.every(t => diff.reference[t] === DIFF_REMOVED));
+    assert.ok(PLUS_X.every(t => diff.reference[t] === 0));
+    assert.ok(diff.addedArea > 0 && diff.removedArea > 0);
+});
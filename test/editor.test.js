@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { highlightScad } from '../editor.js';
+
+test('include and use paths are highlighted as strings', () => {
+    assert.equal(highlightScad('include <BOSL2/std.scad>'),
+        '<span class="tok-keyword">include</span> <span class="tok-string">&lt;BOSL2/std.scad&gt;</span>\n');
+    assert.equal(highlightScad('use<parts/a b.scad>'),
+        '<span class="tok-keyword">use</span><span class="tok-string">&lt;parts/a b.scad&gt;</span>\n');
+});
+
+test('comparisons are not mistaken for paths', () => {
+    assert.equal(highlightScad('x = a < b - c > d;'),
+        'x = a &lt; b - c &gt; d;\n');
+    assert.equal(highlightScad('if (n < 10 && m > 2) cube(n);'),
+        '<span class="tok-keyword">if</span> (n &lt; <span class="tok-number">10</span> &amp;&amp; m &gt; ' +
+        '<span class="tok-number">2</span>) <span class="tok-builtin">cube</span>(n);\n');
+});
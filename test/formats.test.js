@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compile, FORMATS } from '../headless.js';
+
+// Every format offered in the UI and the CLI, rendered by the bundled
+// openscad-wasm (no libraries, so no network)
+for (const [format, { dimension }] of Object.entries(FORMATS)) {
+    test(`${format} can be produced`, async () => {
+        const source = dimension === 3 ? 'cube(3);' : 'square(3);';
+        const out = await compile({ source, format, libraries: [] }, { cacheDir: null });
+        assert.equal(out.format, format);
+        assert.equal(out.dimension, dimension);
+        assert.ok(out.data.byteLength > 0);
+    });
+}
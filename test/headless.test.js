@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { compile } from '../headless.js';
+
+// jsDelivr stand-in: the listing and files of a one-module library
+const REMOTE = { 'lib.scad': 'module part() cube(2);' };
+const unreachable = new Set();
+let requests = 0;
+globalThis.fetch = async (url) => {
+    requests++;
+    if (url.startsWith('https://data.jsdelivr.com/')) {
+        return new Response(JSON.stringify({ files: Object.keys(REMOTE).map(name => ({ name: `/${name}` })) }));
+    }
+    const name = url.slice(url.lastIndexOf('/') + 1);
+    if (unreachable.has(name) || !(name in REMOTE)) return new Response('', { status: 404 });
+    return new Response(REMOTE[name]);
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let cacheDir;
+before(async () => { cacheDir = await mkdtemp(join(tmpdir(), 'scad-web-cache-')); });
+after(() => rm(cacheDir, { recursive: true }));
+
+// Trees are also kept in memory per library key, so each test pins its own ref
+const library = ref => ({ name: 'Tiny', prefix: 'Tiny', source: 'cdn', repo: 'someone/tiny', ref });
+const cacheFile = ref => join(cacheDir, `${encodeURIComponent(`Tiny@${ref}`)}.json`);
+const cached = async ref => JSON.parse(await readFile(cacheFile(ref), 'utf8'));
+
+async function render(ref, options = {}) {
+    requests = 0;
+    return compile({ source: 'include <Tiny/lib.scad>\npart();', libraries: [library(ref)] }, { cacheDir, ...options })
+        .catch(() => null);
+}
+
+test('a complete download is cached with its fetch time', async () => {
+    await render('main');
+    const json = await cached('main');
+    assert.deepEqual(json.files, REMOTE);
+    assert.ok(Date.now() - json.fetchedAt < DAY);
+});
+
+test('a fresh cache entry is used without the network', async () => {
+    await writeFile(cacheFile('develop'), JSON.stringify({ fetchedAt: Date.now(), files: REMOTE }));
+    assert.ok(await render('develop'));
+    assert.equal(requests, 0);
+});
+
+test('a branch tree older than a day is downloaded again', async () => {
+    await writeFile(cacheFile('stable'), JSON.stringify({ fetchedAt: Date.now() - 2 * DAY, files: { 'lib.scad': '' } }));
+    await render('stable');
+    assert.ok(requests > 0);
+    assert.deepEqual((await cached('stable')).files, REMOTE);
+});
+
+test('a commit or tag never expires', async () => {
+    await writeFile(cacheFile('v1.2.0'), JSON.stringify({ fetchedAt: 0, files: REMOTE }));
+    await render('v1.2.0');
+    assert.equal(requests, 0);
+});
+
+test('refresh skips the cache', async () => {
+    await writeFile(cacheFile('next'), JSON.stringify({ fetchedAt: Date.now(), files: { 'lib.scad': '' } }));
+    await render('next', { refresh: true });
+    assert.ok(requests > 0);
+    assert.deepEqual((await cached('next')).files, REMOTE);
+});
+
+test('a download with missing files is not cached', async () => {
+    unreachable.add('lib.scad');
+    await render('broken');
+    unreachable.clear();
+    assert.ok(!(await readdir(cacheDir)).includes(`${encodeURIComponent('Tiny@broken')}.json`));
+});
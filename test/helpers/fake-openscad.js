@@ -0,0 +1,54 @@
+/* Stand-in for openscad-wasm's createOpenSCAD: an in-memory FS and a
+   callMain() that "renders" by writing a JSON report of its arguments
+   and of the files it could see. Markers in the main source pick the
+   console output: "syntax error", "warn", and square() for a 2D model */
+
+class ExitStatus {
+    constructor(status) {
+        this.status = status;
+    }
+}
+
+export async function createOpenSCAD({ print = () => { }, printErr = () => { } } = {}) {
+    const files = new Map();
+    const dirs = new Set(['/']);
+
+    const FS = {
+        mkdir(path) {
+            if (dirs.has(path)) throw new Error(`EEXIST: ${path}`);
+            dirs.add(path);
+        },
+        writeFile(path, data) {
+            const parent = path.slice(0, path.lastIndexOf('/')) || '/';
+            if (!dirs.has(parent)) throw new Error(`ENOENT: ${parent}`);
+            files.set(path, typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data));
+        },
+        readFile(path) {
+            if (!files.has(path)) throw new Error(`ENOENT: ${path}`);
+            return files.get(path);
+        },
+    };
+
+    function callMain(args) {
+        if (args[0] === '--help') {
+            print('Usage: openscad [options] file.scad');
+            return 0;
+        }
+        const [input, , output] = args;
+        const source = new TextDecoder().decode(FS.readFile(input));
+        const fail = (text) => {
+            printErr(text);
+            throw new ExitStatus(1);
+        };
+
+        if (source.includes('syntax error')) fail(`ERROR: Parser error in file "${input}", line 2: syntax error`);
+        if (source.includes('warn')) printErr('WARNING: Ignoring unknown variable "x" in file parts/sub.scad, line 5');
+        if (source.includes('square(') && !/\.(svg|dxf)$/.test(output)) fail('ERROR: Current top level object is not a 3D object.');
+
+        print('ECHO: "rendered"');
+        FS.writeFile(output, JSON.stringify({ args, files: [...files.keys()].sort() }));
+        return 0;
+    }
+
+    return { getInstance: () => ({ FS, callMain }) };
+}
@@ -0,0 +1,23 @@
+/**
+ * Closed box from `min` to `max` as a non-indexed triangle list (9 floats
+ * per triangle), wound outwards like OpenSCAD's STL: two triangles per
+ * face, in the order bottom, top, -Y, +Y, -X, +X.
+ */
+export function box([x0, y0, z0], [x1, y1, z1]) {
+    const faces = [
+        [[x0, y0, z0], [x0, y1, z0], [x1, y1, z0], [x1, y0, z0]],
+        [[x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1]],
+        [[x0, y0, z0], [x1, y0, z0], [x1, y0, z1], [x0, y0, z1]],
+        [[x0, y1, z0], [x0, y1, z1], [x1, y1, z1], [x1, y1, z0]],
+        [[x0, y0, z0], [x0, y0, z1], [x0, y1, z1], [x0, y1, z0]],
+        [[x1, y0, z0], [x1, y1, z0], [x1, y1, z1], [x1, y0, z1]],
+    ];
+    return Float32Array.from(faces.flatMap(([a, b, c, d]) => [a, b, c, a, c, d].flat()));
+}
+
+/**
+ * Triangle lists joined into one soup.
+ */
+export function join(...meshes) {
+    return Float32Array.from(meshes.flatMap(m => [...m]));
+}
@@ -0,0 +1,9 @@
+/* Module hook: serve worker.js's CDN import of openscad-wasm from
+   fake-openscad.js, so the tests run without a network */
+
+const FAKE = new URL('./fake-openscad.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith('https://cdn.jsdelivr.net/npm/openscad-wasm@')) return { url: FAKE, shortCircuit: true };
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    BUILTIN_LIBRARIES, libraryKey, includedPrefixes, detectLibraries,
+    isValidPrefix, isValidRef, isValidRepo, isPinnedRef, isStale, BRANCH_MAX_AGE,
+} from '../libraries.js';
+
+test('prefixes are single folder names', () => {
+    for (const prefix of ['BOSL2', 'Round-Anything', 'my_lib.v2']) assert.ok(isValidPrefix(prefix), prefix);
+    for (const prefix of ['', '.', '..', 'a/b', 'a b', 'x>', '<img src=x onerror=alert(1)>']) {
+        assert.ok(!isValidPrefix(prefix), prefix);
+    }
+});
+
+test('refs and repos are safe to put in a URL', () => {
+    for (const ref of ['master', 'v2.0.1', 'a1b2c3d']) assert.ok(isValidRef(ref), ref);
+    for (const ref of ['', '..', 'feature/x', 'x?y=1', 'a b']) assert.ok(!isValidRef(ref), ref);
+    assert.ok(isValidRepo('BelfrySCAD/BOSL2'));
+    assert.ok(!isValidRepo('BelfrySCAD/BOSL2/extra'));
+});
+
+test('keys follow the pinned ref', () => {
+    assert.equal(libraryKey(BUILTIN_LIBRARIES[0]), 'BOSL2@master');
+    assert.equal(libraryKey({ source: 'upload', prefix: 'mine' }), 'upload:mine');
+});
+
+test('include and use prefixes pick the libraries to load', () => {
+    const source = 'include <BOSL2/std.scad>\nuse < MCAD/gears.scad>\ninclude <local.scad>\n// a < b/c > d';
+    assert.deepEqual([...includedPrefixes(source)], ['BOSL2', 'MCAD']);
+    assert.deepEqual(detectLibraries([source], BUILTIN_LIBRARIES).map(l => l.prefix), ['BOSL2', 'MCAD']);
+});
+
+test('only branch refs go stale', () => {
+    const lib = ref => ({ source: 'cdn', ref });
+    assert.ok(isPinnedRef('v1.2') && isPinnedRef('0123abc') && !isPinnedRef('master'));
+    assert.ok(isStale(lib('master'), Date.now() - BRANCH_MAX_AGE - 1));
+    assert.ok(!isStale(lib('master'), Date.now()));
+    assert.ok(!isStale(lib('v1.2'), 0));
+    assert.ok(!isStale({ source: 'upload', prefix: 'x' }, 0));
+});
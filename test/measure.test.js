@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+    computeMeshStats, buildFeatureEdges, nearestSegment, straightEdge, edgeLoop, fitCircle, angleBetweenNormals,
+} from '../measure.js';
+import { box } from './helpers/meshes.js';
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-4, `${message}: ${actual} ≠ ${expected}`);
+
+function soup(positions) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    return geometry;
+}
+
+/* ─── Mesh statistics ─── */
+
+test('box, volume and area of an STL triangle soup', () => {
+    const stats = computeMeshStats(soup(box([-5, 0, 0], [5, 20, 30])));
+    assert.deepEqual(stats.min, [-5, 0, 0]);
+    assert.deepEqual(stats.max, [5, 20, 30]);
+    assert.deepEqual(stats.size, [10, 20, 30]);
+    near(stats.volume, 6000, 'volume');
+    near(stats.area, 2 * (200 + 300 + 600), 'area');
+});
+
+test('indexed geometry gives the same figures', () => {
+    const stats = computeMeshStats(new THREE.BoxGeometry(2, 3, 4));
+    near(stats.volume, 24, 'volume');
+    near(stats.area, 52, 'area');
+});
+
+test('outlines only get the box', () => {
+    const stats = computeMeshStats(soup(box([0, 0, 0], [1, 1, 1])), { surface: false });
+    assert.deepEqual(stats.size, [1, 1, 1]);
+    assert.equal(stats.volume, null);
+    assert.equal(stats.area, null);
+});
+
+/* ─── Feature edges ─── */
+
+test('a box has twelve sharp edges, however it is tessellated', () => {
+    assert.equal(buildFeatureEdges(soup(box([0, 0, 0], [10, 10, 10]))).count, 12);
+
+    const edges = buildFeatureEdges(new THREE.BoxGeometry(10, 10, 10, 3, 3, 3));
+    assert.equal(edges.count, 36);
+    const { index, distance } = nearestSegment(edges, new THREE.Vector3(5.2, 5.1, 0));
+    near(distance, Math.hypot(0.2, 0.1), 'distance');
+
+    const edge = straightEdge(edges, index);
+    near(edge.length, 10, 'length');
+    assert.equal(edge.segments.length, 3);
+    near(Math.min(edge.from.z, edge.to.z), -5, 'from');
+    near(Math.max(edge.from.z, edge.to.z), 5, 'to');
+});
+
+/* ─── Circles and angles ─── */
+
+test('the rim of a cylinder is a closed loop on a circle', () => {
+    const edges = buildFeatureEdges(new THREE.CylinderGeometry(4, 4, 10, 48));
+    const { index } = nearestSegment(edges, new THREE.Vector3(4, 5, 0));
+    const loop = edgeLoop(edges, index);
+    assert.equal(loop.closed, true);
+    assert.equal(loop.points.length, 48);
+
+    const circle = fitCircle(loop.points);
+    near(circle.radius, 4, 'radius');
+    near(circle.center.distanceTo(new THREE.Vector3(0, 5, 0)), 0, 'center');
+    near(Math.abs(circle.normal.y), 1, 'normal');
+});
+
+test('points off a circle do not fit one', () => {
+    const v = (x, y) => new THREE.Vector3(x, y, 0);
+    assert.equal(fitCircle([v(0, 0), v(1, 0)]), null);
+    assert.equal(fitCircle([v(0, 0), v(1, 0), v(2, 0)]), null);
+    assert.equal(fitCircle([v(0, 0), v(10, 0), v(10, 10), v(0, 10), v(5, 0), v(10, 5)]), null);
+});
+
+test('angles between face normals', () => {
+    const x = new THREE.Vector3(1, 0, 0);
+    near(angleBetweenNormals(x, new THREE.Vector3(0, 0, 2)), 90, 'square');
+    near(angleBetweenNormals(x, new THREE.Vector3(3, 0, 0)), 0, 'parallel');
+    near(angleBetweenNormals(x, new THREE.Vector3(-1, 1, 0)), 135, 'obtuse');
+});
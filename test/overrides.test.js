@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDFlags, formatLiteral, unescapeString, validateParam, parseOverride } from '../overrides.js';
+
+/* ─── -D flags ─── */
+
+test('one -D pair per parameter, as OpenSCAD literals', () => {
+    assert.deepEqual(buildDFlags([
+        { name: 'size', type: 'number', value: 30 },
+        { name: 'center', type: 'bool', value: false },
+        { name: 'dims', type: 'vector', value: [1, 2.5, -3] },
+        { name: 'label', type: 'string', value: 'M3' },
+    ]), ['-D', 'size=30', '-D', 'center=false', '-D', 'dims=[1, 2.5, -3]', '-D', 'label="M3"']);
+});
+
+test('strings are escaped so they cannot end the literal', () => {
+    const [, flag] = buildDFlags([{ name: 'label', type: 'string', value: 'a"; cube(99); b="\\\n\t\r' }]);
+    assert.equal(flag, 'label="a\\"; cube(99); b=\\"\\\\\\n\\t\\r"');
+});
+
+test('invalid values throw instead of reaching the command line', () => {
+    const cases = [
+        [{ name: 'size', type: 'number', value: NaN }, /size: informe um número/],
+        [{ name: 'size', type: 'number', value: '1; cube(9)' }, /size: informe um número/],
+        [{ name: 'flag', type: 'bool', value: 'true' }, /flag: use true ou false/],
+        [{ name: 'dims', type: 'vector', value: [1, Infinity] }, /dims: informe um número em cada campo/],
+        [{ name: 'dims', type: 'vector', value: [] }, /dims/],
+        [{ name: 'a=1;b', type: 'number', value: 1 }, /nome de parâmetro inválido/],
+        [{ name: 'x', type: 'color', value: 1 }, /tipo desconhecido/],
+    ];
+    for (const [param, message] of cases) assert.throws(() => buildDFlags([param]), message);
+});
+
+test('formatLiteral matches the source syntax', () => {
+    assert.equal(formatLiteral({ type: 'number', value: -0.25 }), '-0.25');
+    assert.equal(formatLiteral({ type: 'bool', value: true }), 'true');
+    assert.equal(formatLiteral({ type: 'string', value: 'say "hi"' }), '"say \\"hi\\""');
+});
+
+test('unescapeString decodes every OpenSCAD escape', () => {
+    assert.equal(unescapeString('a\\nb\\tc\\rd'), 'a\nb\tc\rd');
+    assert.equal(unescapeString('\\"q\\" C:\\\\x'), '"q" C:\\x');
+    assert.equal(unescapeString('\\x41\\x7e'), 'A~');
+    assert.equal(unescapeString('\\u00e9\\u00E9'), 'éé');
+    assert.equal(unescapeString('\\U01f600'), '😀');
+    // Not an escape OpenSCAD knows: the character stands for itself
+    assert.equal(unescapeString('\\x9z \\q'), 'x9z q');
+});
+
+/* ─── Panel validation ─── */
+
+test('limits of the widget comment', () => {
+    const slider = { name: 'w', type: 'number', min: 5, step: 0.5, max: 50 };
+    assert.equal(validateParam({ ...slider, value: 12.5 }), null);
+    assert.equal(validateParam({ ...slider, value: 4 }), 'mínimo 5');
+    assert.equal(validateParam({ ...slider, value: 51 }), 'máximo 50');
+    assert.equal(validateParam({ ...slider, value: 12.3 }), 'use passos de 0.5 a partir de 5');
+    assert.equal(validateParam({ name: 's', type: 'number', min: 0, step: 0.1, max: 1, value: 0.3 }), null);
+
+    const dropdown = { name: 'shape', type: 'string', options: [{ value: 'round' }, { value: 'square' }] };
+    assert.equal(validateParam({ ...dropdown, value: 'square' }), null);
+    assert.equal(validateParam({ ...dropdown, value: 'hex' }), 'valor fora das opções');
+
+    assert.equal(validateParam({ name: 'l', type: 'string', maxLength: 3, value: 'abcd' }), 'no máximo 3 caractere(s)');
+    assert.equal(validateParam({ name: 'v', type: 'vector', min: 0, max: 10, value: [1, 11] }), 'máximo 10');
+});
+
+/* ─── Command-line overrides ─── */
+
+test('parseOverride reads each literal type', () => {
+    assert.deepEqual(parseOverride('size=30'), { name: 'size', type: 'number', value: 30 });
+    assert.deepEqual(parseOverride('c = false'), { name: 'c', type: 'bool', value: false });
+    assert.deepEqual(parseOverride('v=[1, 2.5,-3]'), { name: 'v', type: 'vector', value: [1, 2.5, -3] });
+    assert.deepEqual(parseOverride('l="a\\"b\\n"'), { name: 'l', type: 'string', value: 'a"b\n' });
+    assert.deepEqual(parseOverride('l=M3 bolt'), { name: 'l', type: 'string', value: 'M3 bolt' });
+    assert.deepEqual(parseOverride('l=a=b'), { name: 'l', type: 'string', value: 'a=b' });
+});
+
+test('parseOverride rejects malformed overrides', () => {
+    for (const text of ['size', '=3', '1x=3', 'v=[1, a]', 'v=[]', 'v=[1, 2']) {
+        assert.throws(() => parseOverride(text), /Override inválido/, text);
+    }
+});
+
+test('parseOverride decodes \\x and \\u escapes', () => {
+    assert.deepEqual(parseOverride('l="\\x41\\u00e9"'), { name: 'l', type: 'string', value: 'Aé' });
+});
+
+test('parsed overrides survive buildDFlags unchanged', () => {
+    const p = parseOverride('label="C:\\\\temp \\"x\\""');
+    assert.equal(p.value, 'C:\\temp "x"');
+    assert.deepEqual(buildDFlags([p]), ['-D', 'label="C:\\\\temp \\"x\\""']);
+});
@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseParameters, buildModifiedSource } from '../parameters.js';
+
+const fixture = name => readFileSync(new URL(`fixtures/${name}`, import.meta.url), 'utf8');
+const byName = params => Object.fromEntries(params.map(p => [p.name, p]));
+
+/* ─── Parser ─── */
+
+test('sections, descriptions and hidden parameters', () => {
+    const params = byName(parseParameters(fixture('sections.scad')));
+
+    assert.deepEqual(Object.keys(params), ['wall', 'width', 'depth', 'fudge', 'show_lid']);
+    assert.equal(params.wall.section, 'Global');
+    assert.equal(params.wall.description, 'Wall thickness');
+    assert.equal(params.width.section, 'Size');
+    assert.equal(params.depth.section, 'Size');
+    assert.equal(params.fudge.section, 'Hidden');
+    assert.equal(params.fudge.hidden, true);
+    assert.equal(params.show_lid.section, 'Look');
+    assert.equal(params.show_lid.type, 'bool');
+    assert.equal(params.show_lid.value, true);
+});
+
+test('stops at block comments, module bodies and the first module', () => {
+    const names = parseParameters(fixture('sections.scad')).map(p => p.name);
+    assert.ok(!names.includes('not_a_param'));
+    assert.ok(!names.includes('inner'));
+    assert.ok(!names.includes('after'));
+});
+
+test('sliders and spinboxes', () => {
+    const params = byName(parseParameters(fixture('sliders.scad')));
+
+    assert.deepEqual([params.height.min, params.height.step, params.height.max], [1, null, 100]);
+    assert.deepEqual([params.width.min, params.width.step, params.width.max], [5, 0.5, 50]);
+    assert.deepEqual([params.depth.min, params.depth.max], [0, 10]);
+    assert.deepEqual([params.offset.value, params.offset.min, params.offset.step, params.offset.max], [-2.5, -10, 0.25, 10]);
+    assert.equal(params.count.step, 0.5);
+    assert.deepEqual([params.big.value, params.big.max], [1000, 10000]);
+    assert.equal(params.dims.type, 'vector');
+    assert.deepEqual(params.dims.value, [10, 20, 5]);
+    assert.deepEqual([params.dims.min, params.dims.max], [0, 100]);
+    assert.equal(params.ratio.value, 0.5);
+});
+
+test('expressions and special variables are not parameters', () => {
+    const names = parseParameters(fixture('sliders.scad')).map(p => p.name);
+    assert.ok(!names.includes('computed'));
+    assert.ok(!names.includes('$fn'));
+});
+
+test('dropdowns, plain and labeled', () => {
+    const params = byName(parseParameters(fixture('dropdowns.scad')));
+
+    assert.deepEqual(params.shape.options.map(o => o.value), ['round', 'square', 'hex']);
+    assert.deepEqual(params.size.options, [
+        { value: 10, label: 'Small' },
+        { value: 20, label: 'Large' },
+        { value: 30, label: 'Huge' },
+    ]);
+    assert.deepEqual(params.font.options, [
+        { value: 'Liberation Sans', label: 'Liberation Sans' },
+        { value: 'DejaVu Sans', label: 'DejaVu' },
+    ]);
+    assert.deepEqual(params.angle.options.map(o => o.value), [0, 45, 90]);
+    assert.equal(params.angle.min, null);
+});
+
+test('strings with special characters', () => {
+    const params = byName(parseParameters(fixture('strings.scad')));
+
+    assert.equal(params.label.value, 'a; b // not a comment');
+    assert.equal(params.label.maxLength, 20);
+    assert.equal(params.label.description, 'Label with a semicolon and a comment marker inside');
+    assert.equal(params.quote.value, 'say "hi"');
+    assert.equal(params.path.value, 'C:\\temp\\');
+    assert.equal(params.multi.value, 'line1\nline2');
+    assert.equal(params.unicode.value, 'ação ✓');
+    assert.equal(params.empty.value, '');
+    assert.equal(params.url.value, 'http://example.com/a;b');
+    assert.equal(params.url.description, 'Website');
+});
+
+test('hex and unicode escapes show as their characters', () => {
+    const params = byName(parseParameters('a = "\\x41BC";\nb = "caf\\u00e9";\nc = "\\U01f600";\n'));
+    assert.equal(params.a.value, 'ABC');
+    assert.equal(params.b.value, 'café');
+    assert.equal(params.c.value, '😀');
+});
+
+test('a later assignment of the same name wins', () => {
+    const params = parseParameters('size = 1;\nsize = 2; // [0:10]\n');
+    assert.equal(params.length, 1);
+    assert.equal(params[0].value, 2);
+    assert.equal(params[0].line, 1);
+});
+
+/* ─── Round trip ─── */
+
+for (const name of ['sections.scad', 'sliders.scad', 'dropdowns.scad', 'strings.scad']) {
+    test(`${name}: unchanged parameters leave the source byte for byte`, () => {
+        const source = fixture(name);
+        assert.equal(buildModifiedSource(source, parseParameters(source)), source);
+    });
+}
+
+test('an edit only touches the value of its line', () => {
+    const source = fixture('sliders.scad');
+    const params = parseParameters(source);
+    params.find(p => p.name === 'width').value = 12.5;
+
+    const edited = buildModifiedSource(source, params);
+    const before = source.split('\n');
+    const after = edited.split('\n');
+    const changed = after.map((line, i) => i).filter(i => after[i] !== before[i]);
+    assert.deepEqual(changed, [1]);
+    assert.equal(after[1], 'width = 12.5;         // [5:0.5:50]');
+
+    const reparsed = byName(parseParameters(edited));
+    assert.equal(reparsed.width.value, 12.5);
+    assert.deepEqual([reparsed.width.min, reparsed.width.step, reparsed.width.max], [5, 0.5, 50]);
+});
+
+test('edited strings are escaped and read back unchanged', () => {
+    const source = fixture('strings.scad');
+    const params = parseParameters(source);
+    const values = {
+        label: 'x; y // z',
+        quote: 'she said "no"',
+        path: 'D:\\new\\',
+        multi: 'a\tb\r\nc',
+        unicode: '→ ✓ ç',
+    };
+    for (const p of params) if (p.name in values) p.value = values[p.name];
+
+    const reparsed = byName(parseParameters(buildModifiedSource(source, params)));
+    for (const [name, value] of Object.entries(values)) assert.equal(reparsed[name].value, value, name);
+    assert.equal(reparsed.label.maxLength, 20);
+    assert.equal(reparsed.url.description, 'Website');
+});
+
+test('escaped strings keep their spelling until edited', () => {
+    const source = 'a = "\\x41BC";\nb = "caf\\u00e9";\n';
+    const params = parseParameters(source);
+    assert.equal(buildModifiedSource(source, params), source);
+
+    params[1].value = 'café!';
+    assert.equal(buildModifiedSource(source, params), 'a = "\\x41BC";\nb = "café!";\n');
+});
+
+test('vectors and booleans round-trip', () => {
+    const source = 'dims = [1, 2, 3]; // [0:10]\nflag = false;\n';
+    const params = parseParameters(source);
+    params[0].value = [4, 5.5, 6];
+    params[1].value = true;
+    assert.equal(buildModifiedSource(source, params), 'dims = [4, 5.5, 6]; // [0:10]\nflag = true;\n');
+});
+
+test('an emptied number input does not write NaN', () => {
+    const source = 'size = 10;\n';
+    const params = parseParameters(source);
+    params[0].value = NaN;
+    assert.equal(buildModifiedSource(source, params), source);
+});
@@ -0,0 +1,145 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorkerPool, PRIORITY } from '../pool.js';
+
+// Stand-in for module workers: records what it is sent; the test
+// answers for it with reply() or makes it fail with crash()
+let workers = [];
+globalThis.Worker = class extends EventTarget {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.sent = [];
+        this.terminated = false;
+        workers.push(this);
+    }
+    postMessage(msg) { this.sent.push(msg); }
+    terminate() { this.terminated = true; }
+    get jobs() { return this.sent.filter(m => m.type === 'compile'); }
+    reply(data) { this.dispatchEvent(new MessageEvent('message', { data })); }
+    crash(message) {
+        const event = new Event('error', { cancelable: true });
+        event.message = message;
+        this.dispatchEvent(event);
+    }
+};
+
+// Jobs started back to back must still have distinct start times
+let clock = 0;
+mock.method(performance, 'now', () => ++clock);
+
+function setup(options = {}) {
+    workers = [];
+    const messages = new Map(); // job id → its messages
+    const errors = [];
+    const pool = createWorkerPool({ size: 2, onError: m => errors.push(m), ...options });
+    const run = (message = {}, opts = {}) => {
+        const log = [];
+        const id = pool.run({ type: 'compile', ...message }, { ...opts, onMessage: m => log.push(m) });
+        messages.set(id, log);
+        return id;
+    };
+    const live = () => workers.filter(w => !w.terminated);
+    const busyWith = id => live().find(w => w.jobs.some(j => j.jobId === id));
+    return { pool, run, messages, errors, live, busyWith };
+}
+
+test('jobs run side by side up to the pool size, the rest wait', () => {
+    const { run, live, busyWith } = setup();
+    const a = run(), b = run(), c = run();
+    assert.equal(live().length, 2);
+    assert.ok(busyWith(a) && busyWith(b));
+    assert.equal(busyWith(c), undefined);
+
+    busyWith(a).reply({ type: 'result', jobId: a });
+    assert.ok(busyWith(c));
+});
+
+test('replies are routed by job id and end with the terminal message', () => {
+    const { run, messages, busyWith } = setup();
+    const a = run();
+    const worker = busyWith(a);
+    worker.reply({ type: 'log', jobId: a, text: 'x' });
+    worker.reply({ type: 'log', jobId: 999, text: 'stale' });
+    worker.reply({ type: 'result', jobId: a });
+    worker.reply({ type: 'log', jobId: a, text: 'late' });
+    assert.deepEqual(messages.get(a).map(m => m.type), ['log', 'result']);
+});
+
+test('interactive jobs jump the queue and preempt the newest background job', () => {
+    const { run, messages, busyWith } = setup();
+    const bg1 = run({}, { priority: PRIORITY.background });
+    const bg2 = run({}, { priority: PRIORITY.background });
+    const bg3 = run({}, { priority: PRIORITY.background });
+    const victim = busyWith(bg2);
+
+    const ui = run();
+    assert.ok(victim.terminated);
+    assert.ok(busyWith(ui));
+    assert.ok(busyWith(bg1));
+    assert.equal(messages.get(bg2).length, 0);
+
+    // The preempted job goes back ahead of the one that was waiting
+    busyWith(bg1).reply({ type: 'result', jobId: bg1 });
+    assert.ok(busyWith(bg2));
+    assert.equal(busyWith(bg3), undefined);
+});
+
+test('cancel drops a queued job, and restarts the worker of a running one', () => {
+    const { pool, run, messages, busyWith } = setup({ size: 1 });
+    const a = run(), b = run();
+    assert.equal(pool.cancel(b), true);
+
+    const worker = busyWith(a);
+    assert.equal(pool.cancel(a), true);
+    assert.ok(worker.terminated);
+    assert.equal(messages.get(a).length, 0);
+    assert.equal(pool.cancel(a), false);
+});
+
+test('a timeout ends the job and restarts its worker', (t) => {
+    // mock.timers takes different options on Node 18 and 20
+    const timers = [];
+    t.mock.method(globalThis, 'setTimeout', (callback, ms) => timers.push({ callback, ms }));
+    const { run, messages, busyWith } = setup();
+    const a = run({}, { timeout: 1000 });
+    const worker = busyWith(a);
+    assert.equal(timers.length, 1);
+    assert.equal(timers[0].ms, 1000);
+    timers[0].callback();
+    assert.deepEqual(messages.get(a), [{ type: 'timeout' }]);
+    assert.ok(worker.terminated);
+});
+
+test('a worker that fails while idle is not restarted in a loop', () => {
+    const { pool, run, messages, errors, live, busyWith } = setup({ size: 1 });
+    const a = run();
+    pool.cancel(a); // leaves a fresh, idle worker
+    const idle = live()[0];
+    idle.crash('SyntaxError');
+    idle.crash('SyntaxError');
+    assert.equal(live().length, 0);
+    assert.deepEqual(errors, ['Erro no worker: SyntaxError']);
+
+    // The next job gets a new worker; its failure goes to the job
+    const b = run();
+    busyWith(b).crash('SyntaxError');
+    assert.deepEqual(messages.get(b), [{ type: 'error', message: 'Erro no worker: SyntaxError' }]);
+    assert.equal(live().length, 0);
+    assert.equal(workers.length, 3);
+});
+
+test('library trees are shared with the other and the new workers', () => {
+    const { pool, run, live, busyWith } = setup();
+    const a = run(), b = run();
+    const files = new Map([['std.scad', '']]);
+    busyWith(a).reply({ type: 'library-cache', key: 'BOSL2@master', files });
+    assert.deepEqual(busyWith(b).sent.at(-1), { type: 'warm', libraries: [['BOSL2@master', files]] });
+
+    pool.cancel(b);
+    const fresh = live().at(-1);
+    assert.deepEqual([...fresh.sent[0].libraries], [['BOSL2@master', files]]);
+
+    pool.forgetLibrary('BOSL2@master');
+    assert.deepEqual(fresh.sent.at(-1), { type: 'forget', key: 'BOSL2@master' });
+});
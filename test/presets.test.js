@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    formatSetValue, parseSetValue, captureParameterSet, applyParameterSet,
+    parseParameterSetFile, serializeParameterSetFile, loadPresets, savePresets,
+} from '../presets.js';
+
+const store = new Map();
+globalThis.localStorage = {
+    getItem: key => store.get(key) ?? null,
+    setItem: (key, value) => store.set(key, String(value)),
+};
+
+const params = () => [
+    { name: 'width', type: 'number', value: 40 },
+    { name: 'rounded', type: 'bool', value: false },
+    { name: 'dims', type: 'vector', value: [1, 2.5, 3] },
+    { name: 'label', type: 'string', value: 'M3' },
+    { name: 'fudge', type: 'number', value: 0.01, hidden: true },
+];
+
+// Written by the OpenSCAD Customizer
+const CUSTOMIZER_FILE = `{
+    "fileFormatVersion": "1",
+    "parameterSets": {
+        "small": {
+            "dims": "[4, 5, 6]",
+            "label": "M2",
+            "rounded": "true",
+            "width": "20"
+        },
+        "broken": "not a set"
+    }
+}
+`;
+
+/* ─── Values ─── */
+
+test('values are written as the Customizer strings', () => {
+    const [width, rounded, dims, label] = params();
+    assert.equal(formatSetValue(width), '40');
+    assert.equal(formatSetValue(rounded), 'false');
+    assert.equal(formatSetValue(dims), '[1, 2.5, 3]');
+    assert.equal(formatSetValue(label), 'M3');
+});
+
+test('values are read back in the type of the parameter', () => {
+    const [width, rounded, dims, label] = params();
+    assert.equal(parseSetValue(width, '12.5'), 12.5);
+    assert.equal(parseSetValue(width, 7), 7);
+    assert.equal(parseSetValue(rounded, 'true'), true);
+    assert.deepEqual(parseSetValue(dims, ' [4, 5.5, 6] '), [4, 5.5, 6]);
+    assert.deepEqual(parseSetValue(dims, [1, 2]), [1, 2]);
+    assert.equal(parseSetValue(label, 42), '42');
+});
+
+test('values that do not fit the parameter are undefined', () => {
+    const [width, rounded, dims, label] = params();
+    assert.equal(parseSetValue(width, 'wide'), undefined);
+    assert.equal(parseSetValue(rounded, 'yes'), undefined);
+    assert.equal(parseSetValue(dims, '1, 2'), undefined);
+    assert.equal(parseSetValue(dims, '[1, x]'), undefined);
+    assert.equal(parseSetValue(dims, '[]'), undefined);
+    assert.equal(parseSetValue(label, null), undefined);
+});
+
+/* ─── Sets ─── */
+
+test('a captured set leaves out hidden parameters', () => {
+    assert.deepEqual(captureParameterSet(params()), {
+        width: '40', rounded: 'false', dims: '[1, 2.5, 3]', label: 'M3',
+    });
+});
+
+test('applying a set reports what it skipped', () => {
+    const list = params();
+    const { applied, skipped } = applyParameterSet(list, { width: '25', rounded: 'maybe', fudge: '1', gone: '3' });
+    assert.deepEqual(applied, ['width']);
+    assert.deepEqual(skipped, ['rounded', 'fudge', 'gone']);
+    assert.equal(list[0].value, 25);
+    assert.equal(list[1].value, false);
+    assert.equal(list[4].value, 0.01);
+});
+
+/* ─── JSON file ─── */
+
+test('Customizer files are read, skipping entries that are not sets', () => {
+    const sets = parseParameterSetFile(CUSTOMIZER_FILE);
+    assert.deepEqual(Object.keys(sets), ['small']);
+
+    const list = params();
+    assert.deepEqual(applyParameterSet(list, sets.small).skipped, []);
+    assert.deepEqual(list.slice(0, 4).map(p => p.value), [20, true, [4, 5, 6], 'M2']);
+});
+
+test('an exported file reads back the same and in the Customizer layout', () => {
+    const sets = { default: captureParameterSet(params()), 'ação': { width: '1' } };
+    const text = serializeParameterSetFile(sets);
+    assert.deepEqual(JSON.parse(text), { parameterSets: sets, fileFormatVersion: '1' });
+    assert.ok(text.endsWith('}\n'));
+    assert.deepEqual(parseParameterSetFile(text), sets);
+});
+
+test('files that are not parameter sets are rejected', () => {
+    assert.throws(() => parseParameterSetFile('{'), /JSON inválido/);
+    for (const text of ['{}', 'null', '{"parameterSets": []}', '{"parameterSets": "x"}']) {
+        assert.throws(() => parseParameterSetFile(text), /não contém "parameterSets"/, text);
+    }
+});
+
+/* ─── Persistence ─── */
+
+test('presets are kept per main file', () => {
+    savePresets('a.scad', { small: { width: '1' } });
+    savePresets('b.scad', { big: { width: '9' } });
+    assert.deepEqual(loadPresets('a.scad'), { small: { width: '1' } });
+
+    savePresets('a.scad', {});
+    assert.deepEqual(loadPresets('a.scad'), {});
+    assert.deepEqual(loadPresets('b.scad'), { big: { width: '9' } });
+    assert.ok(!store.get('scadweb.presets').includes('a.scad'));
+});
+
+test('damaged storage reads as no presets', () => {
+    store.set('scadweb.presets', '{');
+    assert.deepEqual(loadPresets('a.scad'), {});
+});
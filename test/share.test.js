@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unzipSync, strFromU8 } from 'fflate';
+import {
+    SHARE_HASH_PREFIX, BUNDLE_MANIFEST, MAX_PERMALINK_LENGTH,
+    encodeShareHash, decodeShareHash, buildPermalink, buildBundle, takeBundleManifest,
+} from '../share.js';
+
+const BASE = 'https://example.com/scad/';
+const bytes = text => new TextEncoder().encode(text);
+const state = {
+    main: 'box.scad',
+    params: { width: '40', label: 'ação "x"' },
+    camera: { position: [1, 2, 3], target: [0, 0, 0] },
+    format: 'stl',
+    quality: 'final',
+};
+
+// Text deflate shrinks by less than half, so its link length is predictable
+function noise(length) {
+    let seed = 1;
+    let text = '';
+    while (text.length < length) {
+        seed = (seed * 1103515245 + 12345) % 2 ** 31;
+        text += seed.toString(36);
+    }
+    return '// ' + text.slice(0, length) + '\n';
+}
+
+/* ─── Permalink ─── */
+
+test('a permalink decodes to the state it was made from', async () => {
+    const files = { 'box.scad': 'include <lib/util.scad>\ncube(width);\n', 'lib/util.scad': '// ✓\n' };
+    const hash = await encodeShareHash({ ...state, files });
+    assert.ok(hash.startsWith(SHARE_HASH_PREFIX));
+    assert.match(hash.slice(SHARE_HASH_PREFIX.length), /^[\w-]+$/);
+    assert.deepEqual(await decodeShareHash(hash), { v: 1, ...state, files });
+});
+
+test('other hashes are not permalinks', async () => {
+    assert.equal(await decodeShareHash(''), null);
+    assert.equal(await decodeShareHash('#top'), null);
+});
+
+test('damaged, empty and newer links are rejected', async () => {
+    const hash = await encodeShareHash({ ...state, files: { 'box.scad': 'cube(1);' } });
+    await assert.rejects(decodeShareHash(hash.slice(0, -8)), /link corrompido ou incompleto/);
+    await assert.rejects(decodeShareHash(SHARE_HASH_PREFIX + '!!'), /link corrompido ou incompleto/);
+    await assert.rejects(decodeShareHash(await encodeShareHash({ main: 'a.scad' })), /link sem modelo/);
+    await assert.rejects(decodeShareHash(await encodeShareHash({ ...state, files: {}, v: 99 })), /versão mais nova/);
+});
+
+/* ─── Permalink or bundle ─── */
+
+test('small .scad projects get a permalink to the same page', async () => {
+    const url = await buildPermalink(BASE + '#old', new Map([['box.scad', bytes('cube(1);')]]), state);
+    assert.ok(url.startsWith(BASE + SHARE_HASH_PREFIX));
+    const decoded = await decodeShareHash(url.slice(BASE.length));
+    assert.deepEqual(decoded.files, { 'box.scad': 'cube(1);' });
+});
+
+test('projects past MAX_PERMALINK_LENGTH fall back to a bundle', async () => {
+    const fits = await buildPermalink(BASE, new Map([['box.scad', bytes(noise(MAX_PERMALINK_LENGTH / 4))]]), state);
+    assert.ok(fits.length <= MAX_PERMALINK_LENGTH);
+    assert.equal(await buildPermalink(BASE, new Map([['box.scad', bytes(noise(MAX_PERMALINK_LENGTH * 2))]]), state), null);
+});
+
+test('projects with other files fall back to a bundle', async () => {
+    const files = new Map([['box.scad', bytes('import("logo.svg");')], ['logo.svg', bytes('<svg/>')]]);
+    assert.equal(await buildPermalink(BASE, files, state), null);
+});
+
+/* ─── Bundle ─── */
+
+test('a bundle restores its files and state', async () => {
+    const files = new Map([['box.scad', bytes('cube(1);')], ['logo.svg', bytes('<svg/>')]]);
+    const entries = unzipSync(await buildBundle(files, state));
+    assert.deepEqual(Object.keys(entries).sort(), ['box.scad', 'logo.svg', BUNDLE_MANIFEST]);
+
+    const uploaded = new Map(Object.entries(entries));
+    assert.deepEqual(takeBundleManifest(uploaded), { v: 1, ...state });
+    assert.deepEqual([...uploaded.keys()].sort(), ['box.scad', 'logo.svg']);
+    assert.equal(strFromU8(uploaded.get('box.scad')), 'cube(1);');
+});
+
+test('projects without a usable manifest are ordinary projects', () => {
+    assert.equal(takeBundleManifest(new Map([['box.scad', bytes('cube(1);')]])), null);
+    const broken = new Map([[BUNDLE_MANIFEST, bytes('{')]]);
+    assert.equal(takeBundleManifest(broken), null);
+    assert.equal(broken.size, 0);
+});
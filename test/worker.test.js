@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+// worker.js imports openscad-wasm from the CDN; serve the fake instead
+register('./helpers/openscad-loader.js', import.meta.url);
+
+// worker.js runs against a stand-in for the worker global
+const replies = [];
+const waiters = new Set();
+globalThis.self = Object.assign(new EventTarget(), {
+    postMessage(msg) {
+        replies.push(msg);
+        for (const check of waiters) check();
+    },
+});
+await import('../worker.js');
+
+const encoder = new TextEncoder();
+let nextJobId = 0;
+
+function send(data) {
+    self.dispatchEvent(new MessageEvent('message', { data }));
+}
+
+/**
+ * Run a compile job; resolves to its replies, the last one being
+ * its 'result' or 'error'.
+ */
+function compileJob(job) {
+    const jobId = ++nextJobId;
+    return new Promise((resolve) => {
+        const check = () => {
+            const own = replies.filter(m => m.jobId === jobId);
+            if (!own.some(m => m.type === 'result' || m.type === 'error')) return;
+            waiters.delete(check);
+            resolve(own);
+        };
+        waiters.add(check);
+        send({ type: 'compile', jobId, scadSource: 'cube(1);', ...job });
+    });
+}
+
+// The fake OpenSCAD's output is a JSON report of what it was given
+const report = reply => JSON.parse(new TextDecoder().decode(reply.data));
+
+test('a job gets logs and a result, all tagged with its id', async () => {
+    const own = await compileJob({});
+    const result = own.at(-1);
+
+    assert.ok(own.some(m => m.type === 'log'));
+    assert.equal(result.type, 'result');
+    assert.equal(result.format, 'stl');
+    assert.equal(result.dimension, 3);
+    assert.equal(result.quality, 'final');
+    assert.equal(result.parts, null);
+    assert.equal(result.overlays, null);
+    assert.ok(result.data instanceof ArrayBuffer);
+    assert.deepEqual(report(result).args, ['/input.scad', '-o', '/output.stl']);
+});
+
+test('parameters become escaped -D flags', async () => {
+    const result = (await compileJob({
+        params: [
+            { name: 'label', type: 'string', value: 'a"b' },
+            { name: 'size', type: 'number', value: 3 },
+        ],
+    })).at(-1);
+    assert.deepEqual(report(result).args.slice(3), ['-D', 'label="a\\"b"', '-D', 'size=3']);
+});
+
+test('an invalid parameter value is an error reply', async () => {
+    const reply = (await compileJob({ params: [{ name: 'size', type: 'number', value: NaN }] })).at(-1);
+    assert.equal(reply.type, 'error');
+    assert.equal(reply.message, 'Parâmetro size: informe um número');
+});
+
+test('project files are mirrored and diagnostics carry their location', async () => {
+    const own = await compileJob({
+        scadSource: 'warn(); include <../parts/sub.scad>',
+        mainPath: 'models/main.scad',
+        files: [{ path: 'parts/sub.scad', data: encoder.encode('module sub() {}') }],
+    });
+    const result = own.at(-1);
+
+    assert.equal(result.type, 'result');
+    assert.equal(report(result).args[0], '/models/main.scad');
+    assert.ok(report(result).files.includes('/parts/sub.scad'));
+    const { severity, message, file, line } = own.find(m => m.type === 'diagnostic');
+    assert.deepEqual(
+        { severity, message, file, line },
+        { severity: 'warning', message: 'Ignoring unknown variable "x"', file: 'parts/sub.scad', line: 5 },
+    );
+});
+
+test('OpenSCAD errors end in an error reply', async () => {
+    const own = await compileJob({ scadSource: 'cube(1)\nsyntax error' });
+    const diagnostic = own.find(m => m.type === 'diagnostic');
+
+    assert.equal(diagnostic.severity, 'error');
+    assert.equal(diagnostic.file, 'input.scad');
+    assert.equal(diagnostic.line, 2);
+    assert.equal(own.at(-1).type, 'error');
+    assert.match(own.at(-1).message, /não foi gerado/);
+});
+
+test('a 2D model asked for as STL comes back as SVG', async () => {
+    const own = await compileJob({ scadSource: 'square(5);' });
+    const result = own.at(-1);
+
+    assert.equal(result.type, 'result');
+    assert.equal(result.format, 'svg');
+    assert.equal(result.dimension, 2);
+    assert.ok(own.some(m => m.type === 'log' && m.level === 'warning' && /Modelo 2D/.test(m.text)));
+});
+
+test('preview quality adds the coarse overrides', async () => {
+    const result = (await compileJob({ quality: 'preview' })).at(-1);
+    assert.equal(result.quality, 'preview');
+    assert.deepEqual(report(result).args.slice(3), ['-D', '$fn=0', '-D', '$fa=12', '-D', '$fs=2']);
+});
+
+test('libraries handed over by "warm" are written to the virtual FS', async () => {
+    send({
+        type: 'warm',
+        libraries: [['BOSL2@master', new Map([['std.scad', 'module x() {}'], ['sub/inner.scad', '']])]],
+    });
+    const result = (await compileJob({ scadSource: 'include <BOSL2/std.scad>\ncube(1);' })).at(-1);
+
+    assert.equal(result.type, 'result');
+    const { files } = report(result);
+    assert.ok(files.includes('/BOSL2/std.scad'));
+    assert.ok(files.includes('/BOSL2/sub/inner.scad'));
+});
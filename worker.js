@@ -1,23 +1,45 @@
 /* ═══════════════════════════════════════════
    worker.js — OpenSCAD WASM Web Worker
-   Loads openscad-wasm, compiles .scad → STL
+   Loads openscad-wasm, compiles .scad → STL/OFF/AMF/DXF/SVG
    Creates a fresh WASM instance per compilation
-   Supports BOSL2 library auto-loading from CDN
+   Auto-loads registered libraries (BOSL2, MCAD, …) from CDN or upload
+   Mirrors multi-file projects into the virtual FS
+   Splits colored / multi-object models into parts and renders the
+   # / % debug objects (csg.js)
+   The pipeline itself lives in compiler.js; this file is its
+   browser host (CDN import, IndexedDB cache, pool protocol)
    ═══════════════════════════════════════════ */
 
+import { idbGet, idbPut } from './storage.js';
+import { libraryKey, downloadLibrary, isStale } from './libraries.js';
+import { compile } from './compiler.js';
+
 const OPENSCAD_CDN = 'https://cdn.jsdelivr.net/npm/openscad-wasm@0.0.4/openscad.js';
-const BOSL2_VERSION = 'master';
-const BOSL2_CDN_BASE = `https://cdn.jsdelivr.net/gh/BelfrySCAD/BOSL2@${BOSL2_VERSION}/`;
-const BOSL2_API = `https://data.jsdelivr.com/v1/packages/gh/BelfrySCAD/BOSL2@${BOSL2_VERSION}?structure=flat`;
 
 let createOpenSCAD = null;
-let bosl2Cache = null; // { files: Map<filename, content> }
+
+// libraryKey → Map<filename, content>. Persisted in IndexedDB
+// ("libraries" store, { files, fetchedAt } for CDN trees) so a reload
+// reads each tree back in one transaction; the WASM and Three.js
+// modules are cached by sw.js.
+const libraryCache = new Map();
+
+// Id of the job being compiled; the pool runs one job per worker at a
+// time and routes replies by this id (see pool.js)
+let currentJobId = null;
+
+/**
+ * Post a message for the current job back to the main thread.
+ */
+function post(msg, transfer = []) {
+    self.postMessage({ ...msg, jobId: currentJobId }, transfer);
+}
 
 /**
  * Post a log message back to main thread.
  */
 function log(text, level = 'info') {
-    self.postMessage({ type: 'log', text, level });
+    post({ type: 'log', text, level });
 }
 
 /**
@@ -39,198 +61,122 @@ async function loadFactory() {
 }
 
 /**
- * Check if the source code uses BOSL2 library.
+ * Download a CDN library and keep it in IndexedDB with its fetch time.
+ * Resolves to { files, failed }; only complete trees are stored.
  */
-function needsBOSL2(source) {
-    return /(?:include|use)\s*<\s*BOSL2\//.test(source);
+async function fetchLibrary(lib, key) {
+    const download = await downloadLibrary(lib, log);
+    if (download.failed.length) return download;
+    await idbPut('libraries', key, { files: download.files, fetchedAt: Date.now() }).catch((err) => {
+        log(`Não foi possível salvar ${lib.name} no cache local: ${err.message}`, 'warning');
+    });
+    return download;
 }
 
 /**
- * Load BOSL2 library files from jsDelivr CDN (cached after first load).
- * Returns a Map of filename → content.
+ * Library file tree from memory, IndexedDB or the CDN (in that order).
+ * Uploaded libraries only exist in IndexedDB. A tree stored for a
+ * branch is downloaded again once a day; offline, the old copy is used.
  */
-async function loadBOSL2() {
-    if (bosl2Cache) return bosl2Cache;
+async function loadLibrary(lib) {
+    const key = libraryKey(lib);
+    if (libraryCache.has(key)) return libraryCache.get(key);
 
-    log('Carregando biblioteca BOSL2…');
-
-    // 1. Get file listing from jsDelivr API
-    let fileList;
-    try {
-        const resp = await fetch(BOSL2_API);
-        const data = await resp.json();
-        fileList = data.files
-            .map(f => f.name.startsWith('/') ? f.name.slice(1) : f.name)
-            .filter(name => name.endsWith('.scad'));
-    } catch (err) {
-        log(`Erro ao listar arquivos BOSL2: ${err.message}`, 'error');
-        throw err;
-    }
-
-    log(`BOSL2: ${fileList.length} arquivos encontrados. Baixando…`);
-
-    // 2. Fetch all .scad files in parallel (in batches to avoid overwhelming)
-    const BATCH_SIZE = 15;
-    const files = new Map();
-    let downloaded = 0;
-
-    for (let i = 0; i < fileList.length; i += BATCH_SIZE) {
-        const batch = fileList.slice(i, i + BATCH_SIZE);
-        const results = await Promise.all(
-            batch.map(async (name) => {
-                try {
-                    const resp = await fetch(BOSL2_CDN_BASE + name);
-                    if (!resp.ok) return null;
-                    const text = await resp.text();
-                    return { name, text };
-                } catch {
-                    return null;
-                }
-            })
-        );
-
-        for (const result of results) {
-            if (result) {
-                files.set(result.name, result.text);
-                downloaded++;
-            }
-        }
+    // Uploads (and trees stored before fetchedAt was kept) are bare Maps
+    const stored = await idbGet('libraries', key).catch((err) => {
+        log(`Armazenamento local indisponível: ${err.message}`, 'warning');
+    });
+    let files = stored instanceof Map ? stored : stored?.files;
+    const fetchedAt = stored instanceof Map ? 0 : stored?.fetchedAt ?? 0;
 
-        // Progress update every batch
-        if (i + BATCH_SIZE < fileList.length) {
-            log(`BOSL2: ${downloaded}/${fileList.length} arquivos baixados…`);
+    if (files && isStale(lib, fetchedAt)) {
+        try {
+            // A partial refresh is worse than the complete stored copy
+            const download = await fetchLibrary(lib, key);
+            if (!download.failed.length) files = download.files;
+        } catch {
+            log(`${lib.name}: sem conexão para atualizar ${lib.repo}@${lib.ref}; usando a cópia local.`, 'warning');
         }
+    } else if (files) {
+        log(`${lib.name} carregada do cache local: ${files.size} arquivos.`, 'success');
+    } else if (lib.source === 'upload') {
+        throw new Error(`Biblioteca ${lib.name} não encontrada no armazenamento local. Envie o .zip novamente.`);
+    } else {
+        const download = await fetchLibrary(lib, key);
+        // Incomplete: good enough for this compile, but neither kept nor
+        // shared, so the next compile tries the download again
+        if (download.failed.length) return download.files;
+        files = download.files;
     }
 
-    log(`BOSL2 carregada: ${files.size} arquivos.`, 'success');
-    bosl2Cache = files;
-    return files;
-}
+    libraryCache.set(key, files);
 
-/**
- * Write BOSL2 library files to the Emscripten virtual FS.
- */
-function writeBOSL2ToFS(instance, bosl2Files) {
-    // Write to /BOSL2/ at root — same dir as /input.scad
-    // so include <BOSL2/std.scad> resolves directly
-    try { instance.FS.mkdir('/BOSL2'); } catch (_) { }
-
-    for (const [name, content] of bosl2Files) {
-        // Handle subdirectories (if any)
-        const parts = name.split('/');
-        if (parts.length > 1) {
-            let dir = '/BOSL2';
-            for (let i = 0; i < parts.length - 1; i++) {
-                dir += '/' + parts[i];
-                try { instance.FS.mkdir(dir); } catch (_) { }
-            }
-        }
-        instance.FS.writeFile('/BOSL2/' + name, content);
-    }
-}
-
-/**
- * Build -D argument strings for parameter overrides.
- */
-function buildDFlags(params) {
-    const args = [];
-    for (const p of params) {
-        let expr;
-        if (p.type === 'string') {
-            expr = `${p.name}="${p.value}"`;
-        } else if (p.type === 'bool') {
-            expr = `${p.name}=${p.value ? 'true' : 'false'}`;
-        } else {
-            expr = `${p.name}=${p.value}`;
-        }
-        args.push('-D', expr);
-    }
-    return args;
+    // Hand a copy to the pool so the other and replacement workers start warm
+    self.postMessage({ type: 'library-cache', key, files });
+    return files;
 }
 
-/**
- * Compile a .scad source string into STL binary data.
- * Creates a FRESH instance each time.
- * Auto-loads BOSL2 if detected in source.
- */
-async function compile(scadSource, params) {
-    const factory = await loadFactory();
-
-    // Check for BOSL2 and load if needed
-    let bosl2Files = null;
-    if (needsBOSL2(scadSource)) {
-        bosl2Files = await loadBOSL2();
-    }
-
-    log('Inicializando instância OpenSCAD…');
-
-    // Create a fresh instance for each compilation
-    const scad = await factory({
-        print: (text) => log(text),
-        printErr: (text) => log(text, 'error'),
-    });
-
-    const instance = scad.getInstance();
-
-    // Write BOSL2 to virtual FS if needed
-    if (bosl2Files) {
-        writeBOSL2ToFS(instance, bosl2Files);
-    }
-
-    // Write the SCAD source to the virtual filesystem.
-    instance.FS.writeFile('/input.scad', scadSource);
-
-    // Build command-line arguments
-    const mainArgs = ['/input.scad', '-o', '/output.stl'];
-
-
-    // Add -D flags for parameter overrides
-    if (params && params.length > 0) {
-        const dFlags = buildDFlags(params);
-        mainArgs.push(...dFlags);
-        log(`Overrides: ${dFlags.filter((_, i) => i % 2 === 1).join(', ')}`);
-    }
+// What compiler.js needs from the browser
+const host = {
+    loadFactory,
+    loadLibrary,
+    log,
+    diagnostic: diag => post({ type: 'diagnostic', ...diag }),
+};
 
-    log('Compilando…');
-
-    // Run OpenSCAD
-    let exitCode;
-    try {
-        exitCode = instance.callMain(mainArgs);
-    } catch (callErr) {
-        if (callErr && callErr.status !== undefined) {
-            exitCode = callErr.status;
-        } else {
-            throw callErr;
-        }
+/* ── Message handler ── */
+self.addEventListener('message', async (e) => {
+    const { type, jobId, scadSource, params, files, mainPath, libraries, format, quality, parts, debug } = e.data;
+
+    if (type === 'warm') {
+        // Sent by the pool to every new worker: reuse the library files
+        // already downloaded by the others and import the factory
+        // (served from the HTTP cache) before the first job.
+        for (const [key, libFiles] of e.data.libraries || []) libraryCache.set(key, libFiles);
+        loadFactory().catch(() => { });
+        return;
     }
 
-    // Read the generated STL
-    let stlData;
-    try {
-        stlData = instance.FS.readFile('/output.stl');
-    } catch (e) {
-        throw new Error('Arquivo STL de saída não foi gerado. Verifique seu código .scad.');
+    if (type === 'forget') {
+        libraryCache.delete(e.data.key);
+        return;
     }
 
-    log(`Compilação concluída — STL: ${(stlData.byteLength / 1024).toFixed(1)} KB`, 'success');
-    return stlData;
-}
-
-/* ── Message handler ── */
-self.addEventListener('message', async (e) => {
-    const { type, scadSource, params } = e.data;
-
     if (type === 'compile') {
+        currentJobId = jobId;
         try {
-            const stlData = await compile(scadSource, params || []);
-            const buffer = stlData.buffer.slice(
-                stlData.byteOffset,
-                stlData.byteOffset + stlData.byteLength,
-            );
-            self.postMessage({ type: 'result', stl: buffer }, [buffer]);
+            const out = await compile({
+                source: scadSource, params, files, mainPath, libraries, format, quality, parts, debug,
+            }, host);
+            const buffer = toTransferable(out.data);
+            const partList = out.parts && out.parts.map(p => ({ ...p, data: p.data && toTransferable(p.data) }));
+            const overlays = out.overlays && {
+                highlight: out.overlays.highlight && toTransferable(out.overlays.highlight),
+                background: out.overlays.background && toTransferable(out.overlays.background),
+            };
+            const transfer = [
+                buffer,
+                ...(partList || []).map(p => p.data),
+                ...(overlays ? [overlays.highlight, overlays.background] : []),
+            ].filter(Boolean);
+            post({
+                type: 'result',
+                data: buffer,
+                format: out.format,
+                dimension: out.dimension,
+                quality: quality || 'final',
+                parts: partList,
+                overlays,
+            }, transfer);
         } catch (err) {
-            self.postMessage({ type: 'error', message: err.message });
+            post({ type: 'error', message: err.message });
         }
     }
 });
+
+/**
+ * Standalone ArrayBuffer for a (possibly offset) Uint8Array view.
+ */
+function toTransferable(bytes) {
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}